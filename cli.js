@@ -11,11 +11,122 @@ import {
 } from 'commander';
 
 import hubCiStatus from './index.js';
+import { parseContextPattern } from './lib/context-filter.js';
 import getPackageJson from './lib/get-package-json.js';
+import { parseProjectName } from './lib/github-utils.js';
+import decorrelatedJitter from './lib/retry-async/decorrelated-jitter.js';
+import exponential from './lib/retry-async/exponential.js';
+import jitter from './lib/retry-async/jitter.js';
+
+// Functions to create the waits between polls (in milliseconds) for each
+// --backoff strategy from the initial wait, maximum wait, and factor.
+const backoffs = {
+  'decorrelated-jitter': function decorrelatedJitterBackoff(
+    initialMs,
+    maxMs,
+    factor = 3,
+  ) {
+    return decorrelatedJitter(factor, initialMs, maxMs);
+  },
+  exponential(initialMs, maxMs, factor = 2) {
+    return exponential(factor, initialMs, maxMs);
+  },
+  jitter(initialMs, maxMs, factor = 2) {
+    return jitter(exponential(factor, initialMs, maxMs));
+  },
+};
+
+// Default initial and maximum wait between polls, in milliseconds.
+const defaultIntervalMs = 4000;
+const defaultMaxIntervalMs = 60000;
+
+// Environment variables which provide defaults for command-line options.
+const optionEnvNames = {
+  backoffFactor: 'HUB_CI_STATUS_BACKOFF_FACTOR',
+  interval: 'HUB_CI_STATUS_INTERVAL',
+  maxInterval: 'HUB_CI_STATUS_MAX_INTERVAL',
+};
 
 // Same --color options as hub(1)
 const colorOptions = ['always', 'never', 'auto'];
 
+// Names of options which select mutually exclusive output formats
+const outputOptionNames = ['json', 'markdown', 'ndjson', 'tap'];
+
+function conflictingOutputOptionNames(name) {
+  return outputOptionNames.filter((outputName) => outputName !== name);
+}
+
+function coerceApiUrl(arg) {
+  let url;
+  try {
+    url = new URL(arg);
+  } catch {
+    throw new InvalidArgumentError(`Invalid URL "${arg}"`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new InvalidArgumentError('--api-url must be an http or https URL');
+  }
+
+  // Octokit appends paths beginning with / to baseUrl
+  return arg.endsWith('/') ? arg.slice(0, -1) : arg;
+}
+
+function coercePullNumber(arg) {
+  const val = Number(arg);
+  if (arg === '' || !Number.isSafeInteger(val) || val <= 0) {
+    throw new InvalidArgumentError(`Invalid pull request number "${arg}"`);
+  }
+
+  return val;
+}
+
+function coerceProject(arg) {
+  try {
+    parseProjectName(arg);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+
+  return arg;
+}
+
+function coerceBackoffFactor(arg) {
+  const val = Number(arg);
+  if (arg === '' || Number.isNaN(val)) {
+    throw new InvalidArgumentError(`Invalid number "${arg}"`);
+  }
+
+  if (val < 1) {
+    throw new InvalidArgumentError('backoff factor must be at least 1');
+  }
+
+  return val;
+}
+
+function coerceExpectCount(arg) {
+  const val = Number(arg);
+  if (arg === '' || !Number.isSafeInteger(val) || val < 0) {
+    throw new InvalidArgumentError(`Invalid count "${arg}"`);
+  }
+
+  return val;
+}
+
+function coerceInterval(arg) {
+  const val = Number(arg);
+  if (arg === '' || Number.isNaN(val)) {
+    throw new InvalidArgumentError(`Invalid number "${arg}"`);
+  }
+
+  if (val <= 0) {
+    throw new InvalidArgumentError('interval must be positive');
+  }
+
+  return val;
+}
+
 function coerceWait(arg) {
   if (arg === true) {
     // Treat --wait without argument as infinite wait.
@@ -46,6 +157,70 @@ function countOption(optarg, previous) {
   return (previous || 0) + 1;
 }
 
+/** Option parser to collect context patterns.
+ *
+ * @private
+ * @param {string} arg Argument passed to option.
+ * @param {!Array<!RegExp>=} previous Previous value of option.
+ * @returns {!Array<!RegExp>} previous with the pattern parsed from arg.
+ * @throws {InvalidArgumentError} If arg is not a valid pattern.
+ */
+function collectContextPattern(arg, previous) {
+  let pattern;
+  try {
+    pattern = parseContextPattern(arg);
+  } catch (err) {
+    throw new InvalidArgumentError(err.message);
+  }
+
+  return previous ? [...previous, pattern] : [pattern];
+}
+
+/** Option parser to collect option arguments.
+ *
+ * @private
+ * @param {string} arg Argument passed to option.
+ * @param {!Array<string>=} previous Previous value of option.
+ * @returns {!Array<string>} previous with arg appended.
+ */
+function collectOption(arg, previous) {
+  return previous ? [...previous, arg] : [arg];
+}
+
+/** Gets the GitHub Actions workflow run and job in which this process is
+ * running, from environment variables.
+ *
+ * @private
+ * @param {Object<string,string>|undefined} env Environment variables.
+ * @returns {{
+ *   runId: string,
+ *   job: string,
+ *   repository: (string|undefined),
+ *   runAttempt: (string|undefined),
+ *   runnerName: (string|undefined)
+ * }|undefined} ID of the workflow run, ID of the job (i.e. key in jobs),
+ * repository of the workflow (as owner/repo), attempt number of the run, and
+ * name of the runner running the job, or undefined if not running in GitHub
+ * Actions.
+ */
+function getActionsJob(env) {
+  // https://docs.github.com/actions/reference/variables-reference#default-environment-variables
+  if (!env
+    || env.GITHUB_ACTIONS !== 'true'
+    || !env.GITHUB_RUN_ID
+    || !env.GITHUB_JOB) {
+    return undefined;
+  }
+
+  return {
+    runId: env.GITHUB_RUN_ID,
+    job: env.GITHUB_JOB,
+    repository: env.GITHUB_REPOSITORY || undefined,
+    runAttempt: env.GITHUB_RUN_ATTEMPT || undefined,
+    runnerName: env.RUNNER_NAME || undefined,
+  };
+}
+
 /** Options for command entry points.
  *
  * @typedef {{
@@ -98,14 +273,152 @@ export default async function hubCiStatusMain(args, options) {
       getOutHelpWidth: () => options.stdout.columns,
       getErrHelpWidth: () => options.stderr.columns,
     })
-    .arguments('[ref]')
+    .arguments('[ref...]')
     .allowExcessArguments(false)
     .description('Command description.')
+    .option(
+      '--api-url <url>',
+      'base URL of GitHub REST API (default: from git remote host)',
+      coerceApiUrl,
+    )
+    .addOption(
+      new Option('--backoff <strategy>', 'delay between retries for --wait')
+        .choices(Object.keys(backoffs)),
+    )
+    .option(
+      '--backoff-factor <number>',
+      'multiplier of delay between retries (default: 2, or 3 for '
+      + 'decorrelated-jitter)',
+      coerceBackoffFactor,
+    )
     .addOption(
       new Option('--color [when]', 'Colorize verbose output')
         .choices(colorOptions),
     )
+    .option(
+      '--context <pattern>',
+      'only check statuses with context matching glob or /regex/ (repeatable)',
+      collectContextPattern,
+    )
+    .option(
+      '--exclude-context <pattern>',
+      'ignore statuses with context matching glob or /regex/ (repeatable)',
+      collectContextPattern,
+    )
+    .option(
+      '--exclude-workflow-run',
+      'in GitHub Actions, ignore all jobs of the current workflow run (not '
+      + 'only the current job)',
+    )
+    .option(
+      '--expect <context>',
+      'wait for, or fail without, status with context (repeatable)',
+      collectOption,
+    )
+    .option(
+      '--expect-count <number>',
+      'wait for, or fail without, at least number statuses',
+      coerceExpectCount,
+    )
+    .addOption(
+      new Option(
+        '--expect-workflows',
+        'wait for, or fail without, checks for jobs in .github/workflows '
+        + 'triggered by push',
+      )
+        .conflicts(['git', 'pr']),
+    )
+    .addOption(
+      new Option(
+        '--format <template>',
+        'print each status using template with %placeholders',
+      )
+        .conflicts(outputOptionNames),
+    )
+    .addOption(
+      new Option(
+        '--format-footer <template>',
+        'print template with %placeholders after statuses',
+      )
+        .conflicts(outputOptionNames),
+    )
+    .addOption(
+      new Option(
+        '--format-header <template>',
+        'print template with %placeholders before statuses',
+      )
+        .conflicts(outputOptionNames),
+    )
+    .option(
+      '--graphql',
+      'fetch statuses with one GraphQL API query (requires $GITHUB_TOKEN)',
+    )
+    .option(
+      '--interval <seconds>',
+      'initial delay between retries for --wait (default: 4)',
+      coerceInterval,
+    )
+    .addOption(
+      new Option('--json', 'print status as JSON')
+        .conflicts(conflictingOutputOptionNames('json')),
+    )
+    .option('--junit <file>', 'write JUnit XML report of statuses to file')
+    .addOption(
+      new Option('--markdown', 'print status as a Markdown table')
+        .conflicts(conflictingOutputOptionNames('markdown')),
+    )
+    .option(
+      '--max-interval <seconds>',
+      'maximum delay between retries for --wait (default: 60)',
+      coerceInterval,
+    )
+    .addOption(
+      new Option('--ndjson', 'print a JSON line for each poll and the result')
+        .conflicts(conflictingOutputOptionNames('ndjson')),
+    )
+    .option(
+      '--no-git',
+      'resolve ref using GitHub API instead of git (requires --repo)',
+    )
+    .option(
+      '--pr <number>',
+      'check status of pull request head (also accepts #<number> as ref)',
+      coercePullNumber,
+    )
     .option('-q, --quiet', 'print less output', countOption)
+    .addOption(
+      new Option(
+        '--remote <name>',
+        'determine GitHub repository from named git remote',
+      )
+        .conflicts('repo'),
+    )
+    .option(
+      '--repo <[host/]owner/repo>',
+      'check status in GitHub repository (default: from git remote)',
+      coerceProject,
+    )
+    .option(
+      '--required',
+      'only check statuses required to merge into pull request base or '
+      + 'default branch',
+    )
+    .option(
+      '--required-branch <branch>',
+      'only check statuses required to merge into branch',
+    )
+    .addOption(
+      new Option('--stdin', 'read refs to check from stdin, one per line')
+        .conflicts('pr'),
+    )
+    .option(
+      '--step-summary',
+      'append Markdown table to $GITHUB_STEP_SUMMARY (if set)',
+    )
+    .addOption(
+      new Option('--tap', 'print status as TAP version 14')
+        .conflicts(conflictingOutputOptionNames('tap')),
+    )
     .option('-v, --verbose', 'print more output', countOption)
     // TODO: .version(packageJson.version) from JSON import
     // Requires Node.js ^16.14 || >=17.5:
@@ -153,28 +466,127 @@ export default async function hubCiStatusMain(args, options) {
 
   const argOpts = command.opts();
 
+  if (!argOpts.git && argOpts.repo === undefined) {
+    options.stderr.write(
+      'error: option \'--no-git\' requires option \'--repo\'\n',
+    );
+    return 1;
+  }
+
   const maxTotalMs =
     typeof argOpts.wait === 'number' ? argOpts.wait * 1000
       : argOpts.wait || argOpts.waitAll ? Infinity
         : undefined;
+  // Use environment variables for options not given on the command line
+  const coerceEnvs = {
+    backoffFactor: coerceBackoffFactor,
+    interval: coerceInterval,
+    maxInterval: coerceInterval,
+  };
+  for (const [optName, envName] of Object.entries(optionEnvNames)) {
+    const envValue = options.env ? options.env[envName] : undefined;
+    if (envValue && argOpts[optName] === undefined) {
+      try {
+        argOpts[optName] = coerceEnvs[optName](envValue);
+      } catch (errEnv) {
+        options.stderr.write(`error: ${envName}: ${errEnv.message}\n`);
+        return 1;
+      }
+    }
+  }
+
+  let waitMs;
+  let minWaitMs;
+  if (argOpts.backoff !== undefined
+    || argOpts.backoffFactor !== undefined
+    || argOpts.interval !== undefined
+    || argOpts.maxInterval !== undefined) {
+    const intervalMs =
+      argOpts.interval === undefined ? defaultIntervalMs
+        : argOpts.interval * 1000;
+    const maxIntervalMs =
+      argOpts.maxInterval === undefined
+        ? Math.max(intervalMs, defaultMaxIntervalMs)
+        : argOpts.maxInterval * 1000;
+    const makeBackoff = backoffs[argOpts.backoff || 'exponential'];
+    // Iterable which creates a new Iterator for each ref
+    waitMs = {
+      [Symbol.iterator]() {
+        return makeBackoff(intervalMs, maxIntervalMs, argOpts.backoffFactor);
+      },
+    };
+    // Poll once more before the --wait timeout if it is at least the interval
+    minWaitMs = Math.min(intervalMs, defaultIntervalMs);
+  }
   const useColor =
     argOpts.color === 'never' ? false
       : argOpts.color === 'always' || argOpts.color === true ? true
         : undefined;
-  const ref = command.args[0];
+  const refs = command.args;
+  let ref = refs.length > 1 ? refs : refs[0];
+  let pullNumber = argOpts.pr;
+  if (refs.length > 0 && (pullNumber !== undefined || argOpts.stdin)) {
+    const optionName = argOpts.stdin ? '--stdin' : '--pr <number>';
+    options.stderr.write(
+      `error: option '${optionName}' cannot be used with argument 'ref'\n`,
+    );
+    return 1;
+  }
+
+  // Treat #<number> as a pull request number, like GitHub autolinks
+  const pullMatch = typeof ref === 'string' && /^#([1-9]\d*)$/.exec(ref);
+  if (pullMatch) {
+    pullNumber = Number(pullMatch[1]);
+    ref = undefined;
+  }
   const verbosity = (argOpts.verbose || 0) - (argOpts.quiet || 0);
 
+  const auth = options.env ? options.env.GITHUB_TOKEN : undefined;
+  // Don't wait on the GitHub Actions job running this command (or its run)
+  const actionsJob = getActionsJob(options.env);
+  const excludeActionsRun =
+    actionsJob && argOpts.excludeWorkflowRun ? { runId: actionsJob.runId }
+      : actionsJob;
   const gcs = options.hubCiStatus || hubCiStatus;
   try {
     return await gcs(ref, {
+      apiUrl: argOpts.apiUrl,
+      contexts: argOpts.context,
+      excludeActionsRun,
+      excludeContexts: argOpts.excludeContext,
+      expectContexts: argOpts.expect,
+      expectCount: argOpts.expectCount,
+      expectWorkflows: !!argOpts.expectWorkflows,
+      format: argOpts.format,
+      formatFooter: argOpts.formatFooter,
+      formatHeader: argOpts.formatHeader,
+      junit: argOpts.junit,
+      // GraphQL API requires authentication
+      graphql: Boolean(argOpts.graphql && auth),
       octokitOptions: {
-        auth: options.env ? options.env.GITHUB_TOKEN : undefined,
+        auth,
       },
+      output: argOpts.json ? 'json'
+        : argOpts.markdown ? 'markdown'
+          : argOpts.ndjson ? 'ndjson'
+            : argOpts.tap ? 'tap'
+              : undefined,
+      project: argOpts.repo,
+      pullNumber,
+      refsFromStdin: !!argOpts.stdin,
+      remote: argOpts.remote,
+      required: argOpts.requiredBranch || argOpts.required,
       stderr: options.stderr,
+      stdin: options.stdin,
       stdout: options.stdout,
+      summaryFile: argOpts.stepSummary && options.env
+        ? options.env.GITHUB_STEP_SUMMARY || undefined
+        : undefined,
       useColor,
+      useGit: argOpts.git,
       verbosity,
-      wait: maxTotalMs === undefined ? undefined : { maxTotalMs },
+      wait: maxTotalMs === undefined ? undefined
+        : { maxTotalMs, minWaitMs, waitMs },
       waitAll: !!argOpts.waitAll,
     });
   } catch (err) {
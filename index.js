@@ -4,56 +4,39 @@
  * @module hub-ci-status
  */
 
+import { appendFile, writeFile } from 'node:fs/promises';
+import { text } from 'node:stream/consumers';
+
+import { isContextIncluded } from './lib/context-filter.js';
 import fetchCiStatus from './lib/fetch-ci-status.js';
+import fetchRunnerJob from './lib/fetch-runner-job.js';
+import formatDuration from './lib/format-duration.js';
+import formatJunit from './lib/format-junit.js';
+import formatMarkdown from './lib/format-markdown.js';
+import formatTap from './lib/format-tap.js';
+import formatTemplate from './lib/format-template.js';
 import { resolveCommit } from './lib/git-utils.js';
-import { getProjectName } from './lib/github-utils.js';
+import {
+  getApiBaseUrl,
+  getProjectName,
+  parseProjectName,
+} from './lib/github-utils.js';
+import {
+  getCheckRunState,
+  getDurationMs,
+  getState,
+  getStateMarker,
+  isActionsRunCheckRun,
+  stateToExitCode,
+} from './lib/status-utils.js';
 import {
   fetchCiStatusMockSymbol,
+  fetchRunnerJobMockSymbol,
   getProjectNameMockSymbol,
+  getPushCheckRunNamesMockSymbol,
   resolveCommitMockSymbol,
 } from './lib/symbols.js';
-
-// Use same "severity" as hub(1) for determining state
-// https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L60-L69
-const stateBySeverity = [
-  'neutral',
-  'success',
-  'pending',
-  'cancelled',
-  'timed_out',
-  'action_required',
-  'failure',
-  'error',
-];
-
-function getStateMarker(state, useColor) {
-  function colorize(string, code) {
-    return useColor ? `\u001B[${code}m${string}\u001B[39m` : string;
-  }
-
-  // Use same status markers as `hub ci-status`
-  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L158-L171
-  switch (state) {
-    case 'success':
-      return colorize('✔︎', 32);
-
-    case 'action_required':
-    case 'cancelled':
-    case 'error':
-    case 'failure':
-    case 'timed_out':
-      return colorize('✖︎', 31);
-
-    case 'neutral':
-      return colorize('◦', 30);
-
-    case 'pending':
-      return colorize('●', 33);
-
-    default:
-      return '';
-  }
-}
+import getPushCheckRunNames from './lib/workflow-jobs.js';
 
 function formatStatus(status, contextWidth, useColor) {
   const stateMarker = getStateMarker(status.state, useColor);
@@ -62,6 +45,69 @@ function formatStatus(status, contextWidth, useColor) {
   return `${stateMarker}\t${context}${targetUrl}`;
 }
 
+/** Gets the formatted duration of a status, if known.
+ *
+ * @private
+ * @param {!object} status "statuses" object.
+ * @returns {string|undefined} Formatted duration between started_at and
+ * completed_at, if both are present and valid.
+ */
+function getStatusDuration(status) {
+  const durationMs = getDurationMs(status);
+  return durationMs === undefined ? undefined : formatDuration(durationMs);
+}
+
+/** Formats a status using a template with placeholders.
+ *
+ * @private
+ * @param {string} template Template with placeholders to replace.
+ * @param {!object} status "statuses" object to format.
+ * @param {string} sha Hash of the commit to which status applies.
+ * @param {boolean} useColor Should ANSI escape codes for color be used?
+ * @returns {string} Formatted status.
+ */
+function formatStatusTemplate(template, status, sha, useColor) {
+  return formatTemplate(template, {
+    app: status.app ? status.app.name : undefined,
+    context: status.context,
+    description: status.description,
+    duration: getStatusDuration(status),
+    marker: getStateMarker(status.state, useColor),
+    sha,
+    state: status.state,
+    url: status.target_url,
+  });
+}
+
+/** Formats the overall result using a template with placeholders.
+ *
+ * @private
+ * @param {string} template Template with placeholders to replace.
+ * @param {!object} result Owner, repo, sha, state, and statuses to format.
+ * @param {boolean} useColor Should ANSI escape codes for color be used?
+ * @returns {string} Formatted result.
+ */
+function formatSummaryTemplate(
+  template,
+  {
+    owner,
+    repo,
+    sha,
+    state,
+    statuses,
+  },
+  useColor,
+) {
+  return formatTemplate(template, {
+    count: statuses.length,
+    marker: getStateMarker(state, useColor),
+    owner,
+    repo,
+    sha,
+    state,
+  });
+}
+
 function formatStatuses(statuses, useColor) {
   // If no status has a target_url, there's no need to size context
   const contextWidth = !statuses.some((status) => status.target_url) ? 0
@@ -74,35 +120,79 @@ function formatStatuses(statuses, useColor) {
     .join('\n');
 }
 
-function getState(statuses) {
-  const bestSeverity = statuses.reduce((maxSeverity, status) => {
-    const severity = stateBySeverity.indexOf(status.state);
-    return Math.max(severity, maxSeverity);
-  }, -1);
-  return stateBySeverity[bestSeverity] || '';
+/** Converts the result of {@link hubCiStatus} to an object for JSON
+ * serialization.
+ *
+ * @private
+ * @param {!object} result Ref (if checking multiple refs), owner, repo, sha,
+ * state, exit code, statuses, and total count of statuses to convert.
+ * @returns {!object} Object representing result, with property names
+ * consistent with the GitHub API.
+ */
+function resultToJson({
+  ref,
+  owner,
+  repo,
+  sha,
+  state,
+  exitCode,
+  statuses,
+  totalCount,
+}) {
+  /* eslint-disable camelcase */
+  return {
+    ref,
+    owner,
+    repo,
+    sha,
+    state,
+    exit_code: exitCode,
+    total_count: totalCount,
+    statuses,
+  };
+  /* eslint-enable camelcase */
 }
 
-function stateToExitCode(state) {
-  // Use same exit codes as `hub ci-status`
-  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L115-L125
-  switch (state) {
-    case 'neutral':
-    case 'success':
-      return 0;
-
-    case 'action_required':
-    case 'cancelled':
-    case 'error':
-    case 'failure':
-    case 'timed_out':
-      return 1;
-
-    case 'pending':
-      return 2;
-
-    default:
-      return 3;
+/** Creates an object for JSON serialization which describes the changes in
+ * state from a single poll.
+ *
+ * @private
+ * @param {!Array<!object>} statuses Statuses from the poll.
+ * @param {!Map<string, string>} prevStates State of each context from the
+ * previous poll.  Updated with the states from statuses.
+ * @param {!module:"lib/fetch-ci-status.js".PollInfo} pollInfo Information
+ * about the poll.
+ * @returns {!object} Object representing the poll.
+ */
+function pollToJson(statuses, prevStates, pollInfo) {
+  const changes = [];
+  for (const { context, state } of statuses) {
+    const prevState = prevStates.get(context);
+    if (state !== prevState) {
+      /* eslint-disable camelcase */
+      changes.push({
+        context,
+        state,
+        previous_state: prevState,
+      });
+      /* eslint-enable camelcase */
+      prevStates.set(context, state);
+    }
   }
+
+  /* eslint-disable camelcase */
+  return {
+    type: 'poll',
+    time: new Date(pollInfo.time).toISOString(),
+    changes,
+    pending: {
+      statuses: pollInfo.statusWaitCount,
+      statuses_total: pollInfo.statusCount,
+      checks: pollInfo.checkWaitCount,
+      checks_total: pollInfo.checkCount,
+    },
+  };
+  /* eslint-enable camelcase */
 }
 
 /** Converts a "check_run" object from the Checks API to a "statuses" object
@@ -116,32 +206,312 @@ function stateToExitCode(state) {
  * @returns {!object} "statuses" object from CI Status API response.
  */
 function checkRunToStatus(checkRun) {
-  // Based on mapping done by hub(1)
-  // https://github.com/github/hub/blob/v2.14.2/github/client.go#L543-L551
+  // Additional check_run properties are preserved for machine-readable output.
+  /* eslint-disable camelcase */
   return {
-    state: checkRun.status === 'completed' ? checkRun.conclusion : 'pending',
+    state: getCheckRunState(checkRun),
     context: checkRun.name,
-    target_url: checkRun.html_url,  // eslint-disable-line camelcase
+    target_url: checkRun.html_url,
+    status: checkRun.status,
+    conclusion: checkRun.conclusion,
+    started_at: checkRun.started_at,
+    completed_at: checkRun.completed_at,
+    app: checkRun.app,
+    output: checkRun.output,
   };
+  /* eslint-enable camelcase */
+}
+
+/** Merges statuses from the CI Status API and check runs from the Checks
+ * API into a single Array of "statuses" objects.
+ *
+ * @private
+ * @param {!object} combinedStatus Combined status from the CI Status API.
+ * @param {!object} checksList List of check runs from the Checks API.
+ * @returns {!Array<!object>} "statuses" objects for each status and check.
+ */
+function mergeStatuses(combinedStatus, checksList) {
+  return [
+    ...combinedStatus.statuses,
+    ...checksList.check_runs.map(checkRunToStatus),
+  ];
+}
+
+/** Gets the total number of statuses and check runs reported by the API,
+ * which may exceed the number fetched.
+ *
+ * @private
+ * @param {!object} combinedStatus Combined status from the GitHub API.
+ * @param {!object} checksList Check runs list from the GitHub API.
+ * @returns {number} Sum of total_count for statuses and check runs.
+ */
+function getTotalCount(combinedStatus, checksList) {
+  const statusTotal = typeof combinedStatus.total_count === 'number'
+    ? combinedStatus.total_count
+    : combinedStatus.statuses.length;
+  const checkTotal = typeof checksList.total_count === 'number'
+    ? checksList.total_count
+    : checksList.check_runs.length;
+  return statusTotal + checkTotal;
+}
+
+/** Formats the result using templates with placeholders.
+ *
+ * @private
+ * @param {!object} result Owner, repo, sha, state, and statuses to format.
+ * @param {!object} options Templates for each status (format) and before
+ * (formatHeader) and after (formatFooter) the statuses, and useColor.
+ * @returns {string} Formatted result.
+ */
+function formatResultTemplates(
+  result,
+  {
+    format,
+    formatFooter,
+    formatHeader,
+    useColor,
+  },
+) {
+  const lines = [];
+  if (formatHeader !== undefined) {
+    lines.push(formatSummaryTemplate(formatHeader, result, useColor));
+  }
+  if (format !== undefined) {
+    for (const status of result.statuses) {
+      lines.push(formatStatusTemplate(format, status, result.sha, useColor));
+    }
+  }
+  if (formatFooter !== undefined) {
+    lines.push(formatSummaryTemplate(formatFooter, result, useColor));
+  }
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/** Formats the result for printing.
+ *
+ * @private
+ * @param {!object} result Owner, repo, sha, state, exit code, and statuses
+ * to format.
+ * @param {!object} options Output format, templates, useColor, and verbosity
+ * from {@link GithubCiStatusOptions}.
+ * @returns {string} Formatted result.
+ */
+function formatResult(result, options) {
+  switch (options.output) {
+    case 'json':
+      return `${JSON.stringify(resultToJson(result), undefined, 2)}\n`;
+
+    case 'ndjson':
+      return `${JSON.stringify({ type: 'result', ...resultToJson(result) })}\n`;
+
+    case 'markdown':
+      return formatMarkdown(result);
+
+    case 'tap':
+      return formatTap(result);
+
+    default:
+      break;
+  }
+
+  if (options.format !== undefined
+    || options.formatHeader !== undefined
+    || options.formatFooter !== undefined) {
+    return formatResultTemplates(result, options);
+  }
+
+  const formatted = options.verbosity === 0 ? result.state
+    : formatStatuses(result.statuses, options.useColor);
+  return `${formatted || 'no status'}\n`;
+}
+
+/** Formats the results for multiple refs for printing.
+ *
+ * @private
+ * @param {!Array<!object>} results Ref, owner, repo, sha, state, exit code,
+ * and statuses of each result to format.
+ * @param {!object} options Output format, templates, useColor, and verbosity
+ * from {@link GithubCiStatusOptions}.
+ * @returns {string} Formatted results.
+ */
+function formatResults(results, options) {
+  switch (options.output) {
+    case 'json':
+      return `${JSON.stringify(results.map(resultToJson), undefined, 2)}\n`;
+
+    case 'markdown':
+      return results.map(formatMarkdown).join('\n');
+
+    case 'tap':
+      return formatTap(...results);
+
+    default:
+      break;
+  }
+
+  if (options.output === 'ndjson'
+    || options.format !== undefined
+    || options.formatHeader !== undefined
+    || options.formatFooter !== undefined) {
+    return results.map((result) => formatResult(result, options)).join('');
+  }
+
+  if (options.verbosity === 0) {
+    return results
+      .map(({ ref, state }) => `${ref}\t${state || 'no status'}\n`)
+      .join('');
+  }
+
+  return results
+    .map(({ ref, statuses }) => {
+      const formatted = formatStatuses(statuses, options.useColor);
+      return `${ref}:\n${formatted || 'no status'}\n`;
+    })
+    .join('\n');
+}
+
+/** Gets the worst exit code of the results for multiple refs.
+ *
+ * @private
+ * @param {!Array<number>} exitCodes Exit codes from {@link stateToExitCode}.
+ * @returns {number} Worst exit code, where failure (1) is worse than no
+ * status (3), which is worse than pending (2), which is worse than
+ * success (0).
+ */
+function getWorstExitCode(exitCodes) {
+  const exitCodesBestToWorst = [0, 2, 3, 1];
+  return exitCodes.reduce(
+    (worst, exitCode) => (exitCodesBestToWorst.indexOf(exitCode)
+      > exitCodesBestToWorst.indexOf(worst) ? exitCode : worst),
+    0,
+  );
+}
+
+/** Reads refs from a stream, one per line.
+ *
+ * @private
+ * @param {!module:stream.Readable} stream Stream from which to read refs.
+ * @returns {!Promise<!Array<string>>} Promise for the non-empty lines of
+ * stream, with leading and trailing whitespace removed.
+ */
+async function readRefs(stream) {
+  const input = await text(stream);
+  return input
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
 }
 
 /** Options for {@link hubCiStatus}.
  *
  * @typedef {!object} GithubCiStatusOptions
+ * @property {string=} apiUrl Base URL of the GitHub REST API.  (default:
+ * octokitOptions.baseUrl, if set, otherwise https://<host>/api/v3 if the
+ * git remote is on a GitHub Enterprise Server host, otherwise
+ * https://api.github.com)
  * @property {!module:child_process.ExecFileOptions=} gitOptions Options to
  * pass to {@link module:child_process.execFile} when invoking git.
+ * @property {!Array<!RegExp>=} contexts Patterns of contexts (i.e. names) of
+ * statuses and checks to include.  Other statuses and checks are not
+ * printed, waited on, or included in the state.  If empty or undefined, all
+ * statuses and checks which are not excluded are included.
+ * @property {!{
+ *   runId: string,
+ *   job: (string|undefined),
+ *   repository: (string|undefined),
+ *   runAttempt: (string|undefined),
+ *   runnerName: (string|undefined)
+ * }=} excludeActionsRun GitHub Actions workflow run ID and (optionally) job
+ * ID for which check runs are not waited on and do not affect the state.
+ * Useful to avoid waiting on the job which is running this function.  If job
+ * is undefined, check runs for every job in the workflow run are excluded.
+ * Otherwise, if runAttempt and runnerName are set, the check run of the job
+ * in progress on the runner named runnerName is looked up using the GitHub
+ * API (in repository, as owner/repo, if set), since check runs are named by
+ * the job name rather than ID.  If the lookup fails, check runs are matched
+ * by name.
+ * @property {!Array<!RegExp>=} excludeContexts Patterns of contexts of
+ * statuses and checks to exclude.  Excluded statuses and checks are not
+ * printed, waited on, or included in the state.
+ * @property {!Array<string>=} expectContexts Contexts (i.e. names) of
+ * statuses or checks which are expected to be reported.  While waiting,
+ * expected statuses and checks which have not been reported are treated as
+ * pending.  If they have not been reported when the result is printed, they
+ * are printed as failures.  Expected contexts which are excluded by contexts
+ * or excludeContexts, or which are not required (if required is set), are
+ * ignored.
+ * @property {number=} expectCount Minimum number of statuses and checks
+ * expected to be reported.  While waiting, fewer statuses and checks are
+ * treated as pending.  If fewer have been reported when the result is
+ * printed, the state is failure.
+ * @property {boolean=} expectWorkflows If truthy, the names of check runs for
+ * jobs in the GitHub Actions workflows of each commit (in .github/workflows,
+ * read using git) which are triggered by a push of the commit are added to
+ * expectContexts.  on: triggers with branch, tag, and path filters are
+ * evaluated.  Jobs with names which can not be determined without running the
+ * workflow (e.g. due to expressions) are ignored.  Requires useGit and can
+ * not be used with pullNumber.
+ * @property {string=} format Template used to print each status, with
+ * placeholders %app, %context, %description, %duration, %marker, %sha,
+ * %state, and %url, as well as %n for newline and %% for %.
+ * @property {string=} formatFooter Template printed after statuses, with
+ * placeholders %count, %marker, %owner, %repo, %sha, and %state.
+ * @property {string=} formatHeader Template printed before statuses, with
+ * the same placeholders as formatFooter.
+ * @property {boolean=} graphql If truthy, fetch statuses and check runs using
+ * the GitHub GraphQL API (which requires authentication), falling back to
+ * the REST API on failure.
+ * @property {string=} junit Path of file to which a JUnit XML report of the
+ * statuses is written.
  * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
  * use for requests.
  * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
  * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {string=} output Format of printed output.  'json' prints a JSON
+ * document with the owner, repo, commit hash, state, exit code, total
+ * count, and all statuses.  'ndjson' prints a JSON line describing state
+ * changes for each poll, followed by a JSON line with the same content as
+ * 'json'.
+ * 'markdown' prints a Markdown table of statuses followed by the overall
+ * state.  'tap' prints a TAP version 14 document with a test point for each
+ * status.  Otherwise, the state or (if verbosity > 0) a table of statuses is
+ * printed.
+ * @property {number=} pullNumber Number of a pull request for which to check
+ * the status of the head commit.  If the head commit is in a fork, statuses
+ * and checks from both the fork and the base repository are included.  If
+ * set, rev is ignored.
+ * @property {string=} project GitHub project of the form [HOST/]OWNER/REPO.
+ * (default: determined from git remotes)
+ * @property {boolean=} refsFromStdin If truthy, read refs to check from
+ * stdin, one per line, instead of using rev.  Output is formatted as for
+ * multiple refs.
+ * @property {string=} remote Name of git remote from which the GitHub
+ * project is determined.  Ignored if project is set.  (default: remote for
+ * current branch, then upstream, github, origin, as in hub(1))
+ * @property {(boolean|string)=} required If truthy, only statuses and checks
+ * required by the branch protection rules and rulesets of a branch are
+ * printed and included in the state, and required checks which have not been
+ * reported are pending.  If a string, it is the name of the branch.
+ * Otherwise, the base branch of pullNumber or the default branch of the
+ * repository is used.
+ * @property {!AbortSignal=} signal Signal which, when aborted, cancels any
+ * in-progress git command, GitHub API request, or wait and rejects with the
+ * abort reason.
  * @property {!module:stream.Writable=} stderr Stream to which errors (and
  * non-output status messages) are written. (default: process.stderr)
  * @property {!module:stream.Readable=} stdin Stream from which input is read.
- * (not currently used) (default: process.stdin)
+ * (only used if refsFromStdin is truthy) (default: process.stdin)
  * @property {!module:stream.Writable=} stdout Stream to which output is
  * written. (default: process.stdout)
+ * @property {string=} summaryFile Path of file to which a Markdown table of
+ * statuses (as printed for output 'markdown') is appended.  Useful with
+ * $GITHUB_STEP_SUMMARY in GitHub Actions.
  * @property {boolean=} useColor Should ANSI escape codes for color be used
  * to colorize printed output?  (default: from .isTTY)
+ * @property {boolean=} useGit Should git be used to resolve rev (and to
+ * determine the GitHub project, if project is not set)?  If false, rev is
+ * resolved to a commit hash using the GitHub API and project is required.
+ * (default: true)
  * @property {number=} verbosity Amount of output to produce.  Higher numbers
  * produce more output.  Lower (i.e. more negative) numbers produce less.
  * (default: 0)
@@ -155,8 +525,14 @@ function checkRunToStatus(checkRun) {
 
 /** Print the current GitHub CI status of a given revision.
  *
- * @param {string=} rev Git revision for which to check status.  Can be any
- * name recognized by git-rev-parse(1). (default: HEAD)
+ * If an Array of revisions is given (or refsFromStdin is set), the status of
+ * each is printed, prefixed by the revision, and the exit code is the worst
+ * of the exit codes for each revision.
+ *
+ * @param {(string|!Array<string>)=} rev Git revision(s) for which to check
+ * status.  Can be any name recognized by git-rev-parse(1), or if useGit is
+ * false, any commit hash (or prefix), branch, or tag name recognized by the
+ * GitHub API.  (default: HEAD)
  * @param {!GithubCiStatusOptions=} options Options.
  * @returns {!Promise<number>} Exit code indicating whether the status was
  * printed.  0 if the status was printed, non-zero if the status could not
@@ -166,14 +542,38 @@ export default async function hubCiStatus(
   rev = 'HEAD',
   {
     [fetchCiStatusMockSymbol]: fetchCiStatusMock,
+    [fetchRunnerJobMockSymbol]: fetchRunnerJobMock,
     [getProjectNameMockSymbol]: getProjectNameMock,
+    [getPushCheckRunNamesMockSymbol]: getPushCheckRunNamesMock,
     [resolveCommitMockSymbol]: resolveCommitMock,
+    apiUrl,
+    contexts,
+    excludeActionsRun,
+    excludeContexts,
+    expectContexts,
+    expectCount,
+    expectWorkflows,
+    format,
+    formatFooter,
+    formatHeader,
     gitOptions,
+    graphql,
+    junit,
     octokit,
     octokitOptions,
+    output,
+    project,
+    pullNumber,
+    refsFromStdin,
+    remote,
+    required,
+    signal,
     stderr = process.stderr,
+    stdin = process.stdin,
     stdout = process.stdout,
+    summaryFile,
     useColor,
+    useGit = true,
     verbosity,
     wait,
     waitAll,
@@ -181,38 +581,338 @@ export default async function hubCiStatus(
 ) {
   verbosity = Number(verbosity) || 0;
 
+  if (!useGit && project === undefined) {
+    throw new TypeError('project is required when useGit is false');
+  }
+
+  if (pullNumber !== undefined
+    && (!Number.isSafeInteger(pullNumber) || pullNumber <= 0)) {
+    throw new RangeError('pullNumber must be a positive integer');
+  }
+
+  if (expectCount !== undefined
+    && (!Number.isSafeInteger(expectCount) || expectCount < 0)) {
+    throw new RangeError('expectCount must be a non-negative integer');
+  }
+
+  const isMultiple = Boolean(refsFromStdin) || Array.isArray(rev);
+  if (isMultiple && pullNumber !== undefined) {
+    throw new TypeError('pullNumber can not be used with multiple refs');
+  }
+
+  // Resolve rev using git unless the commit is determined by the API
+  const useGitRev = useGit && pullNumber === undefined;
+  if (expectWorkflows && !useGitRev) {
+    throw new TypeError(
+      'expectWorkflows requires useGit and can not be used with pullNumber',
+    );
+  }
+
+  // Kill git child processes on abort
+  if (signal) {
+    gitOptions = { ...gitOptions, signal };
+  }
+
   const getProjectNameOrMock = getProjectNameMock || getProjectName;
   const resolveCommitOrMock = resolveCommitMock || resolveCommit;
-  const [[owner, repo], ref] = await Promise.all([
-    getProjectNameOrMock(gitOptions),
-    resolveCommitOrMock(rev, gitOptions),
+  const getPushCheckRunNamesOrMock =
+    getPushCheckRunNamesMock || getPushCheckRunNames;
+  const [[owner, repo, host], revs] = await Promise.all([
+    project === undefined ? getProjectNameOrMock(gitOptions, remote)
+      : parseProjectName(project),
+    refsFromStdin ? readRefs(stdin)
+      : Array.isArray(rev) ? rev
+        : [rev],
   ]);
-  const statusOptions = {
-    octokit,
-    octokitOptions,
-    retry: wait,
-    waitAll,
-  };
-  if (verbosity > 1) {
-    statusOptions.debug = (msg) => stderr.write(`DEBUG: ${msg}\n`);
+  if (revs.length === 0) {
+    throw new Error('No refs to check.');
   }
+
+  const baseUrl = apiUrl
+    || (octokitOptions && octokitOptions.baseUrl)
+    || (host && getApiBaseUrl(host));
+  const apiOctokitOptions =
+    baseUrl ? { ...octokitOptions, baseUrl } : octokitOptions;
   const fetchCiStatusOrMock = fetchCiStatusMock || fetchCiStatus;
-  const [combinedStatus, checksList] =
-    await fetchCiStatusOrMock({ owner, repo, ref }, statusOptions);
+  const fetchRunnerJobOrMock = fetchRunnerJobMock || fetchRunnerJob;
+
+  const contextFilter = { contexts, excludeContexts };
+  function filterContexts(statuses) {
+    return statuses.filter(
+      (status) => isContextIncluded(status.context, contextFilter),
+    );
+  }
+
+  /** Gets the GitHub Actions workflow run and job to exclude, with the ID of
+   * the job running on excludeActionsRun.runnerName, if it can be determined.
+   *
+   * @private
+   * @returns {!Promise<object|undefined>} Promise for the run ID and jobId of
+   * the job on the runner, if it was found, otherwise excludeActionsRun.
+   */
+  async function getActionsRun() {
+    if (!excludeActionsRun
+      || excludeActionsRun.job === undefined
+      || excludeActionsRun.runAttempt === undefined
+      || excludeActionsRun.runnerName === undefined) {
+      return excludeActionsRun;
+    }
+
+    const {
+      repository,
+      runAttempt,
+      runId,
+      runnerName,
+    } = excludeActionsRun;
+    const [runOwner, runRepo] =
+      repository ? repository.split('/') : [owner, repo];
+    let job;
+    try {
+      job = await fetchRunnerJobOrMock(
+        {
+          owner: runOwner,
+          repo: runRepo,
+          runId,
+          runAttempt,
+          runnerName,
+        },
+        {
+          octokit,
+          octokitOptions: apiOctokitOptions,
+          signal,
+        },
+      );
+    } catch (err) {
+      if (signal && signal.aborted) {
+        throw err;
+      }
+
+      // Check runs can still be matched by name (e.g. if the token lacks
+      // permission to read Actions jobs).
+      if (verbosity >= 0) {
+        stderr.write(
+          `Warning: Unable to get current GitHub Actions job: ${err.message}\n`,
+        );
+      }
+    }
+
+    if (!job) {
+      if (verbosity > 1) {
+        stderr.write(
+          'DEBUG: GitHub Actions job on runner not found.  Matching check runs '
+          + `by job name ${excludeActionsRun.job}\n`,
+        );
+      }
+
+      return excludeActionsRun;
+    }
+
+    if (verbosity > 1) {
+      stderr.write(`DEBUG: Excluding GitHub Actions job ${job.id}\n`);
+    }
+
+    return { runId, jobId: job.id };
+  }
+
+  const actionsRun = await getActionsRun();
+
+  // Once checking any of multiple refs fails, stop checking the others
+  // (which may otherwise wait for a long time).
+  let refsController;
+  let refsSignal = signal;
+  let refsGitOptions = gitOptions;
+  if (revs.length > 1) {
+    refsController = new AbortController();
+    refsSignal = signal ? AbortSignal.any([signal, refsController.signal])
+      : refsController.signal;
+    refsGitOptions = { ...gitOptions, signal: refsSignal };
+  }
+
+  async function abortRefsOnError(promise) {
+    try {
+      return await promise;
+    } catch (err) {
+      if (refsController) {
+        refsController.abort(err);
+      }
+
+      throw err;
+    }
+  }
+
+  async function resolveRev(revName) {
+    const ref =
+      useGitRev ? await resolveCommitOrMock(revName, refsGitOptions) : revName;
+    const prefix = isMultiple ? `${revName}: ` : '';
+
+    let refExpectContexts = expectContexts;
+    if (expectWorkflows) {
+      const workflowContexts =
+        await getPushCheckRunNamesOrMock(ref, revName, refsGitOptions);
+      if (verbosity > 1) {
+        stderr.write(
+          `DEBUG: ${prefix}Expected checks from workflows: `
+          + `${workflowContexts.join(', ') || '(none)'}\n`,
+        );
+      }
+      refExpectContexts =
+        [...new Set([...expectContexts || [], ...workflowContexts])];
+    }
+
+    return {
+      expectContexts: refExpectContexts,
+      prefix,
+      ref,
+      revName,
+    };
+  }
+
+  async function getResult({
+    expectContexts: refExpectContexts,
+    prefix,
+    ref,
+    revName,
+  }) {
+    const statusOptions = {
+      contexts,
+      excludeActionsRun: actionsRun,
+      excludeContexts,
+      expectContexts: refExpectContexts,
+      expectCount,
+      graphql,
+      signal: refsSignal,
+      octokit,
+      octokitOptions: apiOctokitOptions,
+      pullNumber,
+      required,
+      resolveRef: pullNumber === undefined && !useGit,
+      retry: wait,
+      waitAll,
+    };
+    if (verbosity > 1) {
+      statusOptions.debug = (msg) => stderr.write(`DEBUG: ${prefix}${msg}\n`);
+    }
+    if (output === 'ndjson' && verbosity >= 0) {
+      const prevStates = new Map();
+      statusOptions.onPoll = ([pollStatus, pollChecks], pollInfo) => {
+        const pollStatuses =
+          filterContexts(mergeStatuses(pollStatus, pollChecks));
+        const pollJson = pollToJson(pollStatuses, prevStates, pollInfo);
+        if (isMultiple) {
+          pollJson.ref = revName;
+        }
+        stdout.write(`${JSON.stringify(pollJson)}\n`);
+      };
+    }
+    const [combinedStatus, checksList] =
+      await fetchCiStatusOrMock(
+        pullNumber === undefined ? { owner, repo, ref } : { owner, repo },
+        statusOptions,
+      );
+
+    // Combined status includes the commit hash to which ref was resolved
+    const sha = useGitRev ? ref : combinedStatus.sha;
+    const allStatuses = mergeStatuses(combinedStatus, checksList);
+    const totalCount = getTotalCount(combinedStatus, checksList);
+    if (allStatuses.length < totalCount && verbosity >= 0) {
+      stderr.write(
+        `Warning: ${prefix}Only ${allStatuses.length} of ${totalCount} `
+        + 'statuses and checks were fetched.  State may not reflect all '
+        + 'statuses and checks.\n',
+      );
+    }
+
+    // Statuses and checks excluded by context are not listed
+    const statuses = filterContexts(allStatuses);
+
+    // Excluded check runs are listed, but do not affect the state
+    const stateCheckRuns = !actionsRun ? checksList.check_runs
+      : checksList.check_runs.filter(
+        (checkRun) => !isActionsRunCheckRun(checkRun, actionsRun),
+      );
+    const stateStatuses = filterContexts([
+      ...combinedStatus.statuses,
+      ...stateCheckRuns.map(checkRunToStatus),
+    ]);
+
+    // Expected statuses which were not reported (before any timeout) fail.
+    // Excluded check runs were reported, even though they don't affect state.
+    // Expected statuses excluded by contexts or excludeContexts are ignored.
+    // With required, statuses include every required status (as pending if
+    // not reported), so expected statuses which are not included are not
+    // required and are ignored.
+    const reportedCount = stateStatuses.length;
+    if (refExpectContexts && !required) {
+      for (const context of refExpectContexts) {
+        if (isContextIncluded(context, contextFilter)
+          && statuses.every((status) => status.context !== context)) {
+          const missingStatus = {
+            context,
+            description: 'Expected status or check was not reported',
+            state: 'failure',
+          };
+          statuses.push(missingStatus);
+          stateStatuses.push(missingStatus);
+        }
+      }
+    }
+
+    let state = getState(stateStatuses);
+    if (expectCount !== undefined && reportedCount < expectCount) {
+      state = 'failure';
+      if (verbosity >= 0) {
+        stderr.write(
+          `Error: ${prefix}Expected ${expectCount} statuses and checks, but `
+          + `only ${reportedCount} were reported.\n`,
+        );
+      }
+    }
+
+    return {
+      ref: isMultiple ? revName : undefined,
+      owner,
+      repo,
+      sha,
+      state,
+      exitCode: stateToExitCode(state),
+      statuses,
+      totalCount,
+    };
+  }
+
+  // Resolve all refs before polling, so invalid refs fail without waiting
+  const resolvedRevs = await Promise.all(
+    revs.map((revName) => abortRefsOnError(resolveRev(revName))),
+  );
+  const results = await Promise.all(
+    resolvedRevs.map((resolvedRev) => abortRefsOnError(getResult(resolvedRev))),
+  );
+
+  if (junit !== undefined) {
+    await writeFile(junit, formatJunit(...results));
+  }
+
+  if (summaryFile !== undefined) {
+    await appendFile(summaryFile, results.map(formatMarkdown).join('\n'));
+  }
 
-  const statuses = [
-    ...combinedStatus.statuses,
-    ...checksList.check_runs.map(checkRunToStatus),
-  ];
-  const state = getState(statuses);
   if (verbosity >= 0) {
     const useColorOrIsTTY = useColor === false ? false
       : useColor === true ? true
         : stdout.isTTY;
-    const formatted = verbosity === 0 ? state
-      : formatStatuses(statuses, useColorOrIsTTY);
-    stdout.write(`${formatted || 'no status'}\n`);
+    const formatOptions = {
+      format,
+      formatFooter,
+      formatHeader,
+      output,
+      useColor: useColorOrIsTTY,
+      verbosity,
+    };
+    stdout.write(
+      isMultiple ? formatResults(results, formatOptions)
+        : formatResult(results[0], formatOptions),
+    );
   }
 
-  return stateToExitCode(state);
+  return getWorstExitCode(results.map((result) => result.exitCode));
 }
@@ -0,0 +1,75 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import escapeRegExp from './escape-reg-exp.js';
+
+/** Options for filtering statuses and checks by context (i.e. name).
+ *
+ * @private
+ * @typedef {!object} ContextFilterOptions
+ * @property {!Array<!RegExp>=} contexts Patterns of contexts to include.  If
+ * empty or undefined, all contexts which are not excluded are included.
+ * @property {!Array<!RegExp>=} excludeContexts Patterns of contexts to
+ * exclude.
+ */
+
+/** Converts a glob pattern to a regular expression.
+ *
+ * The wildcard * matches any sequence of characters (including /, which is
+ * common in contexts), ? matches any single character, and \ escapes the
+ * following character.  All other characters match themselves.
+ *
+ * @private
+ * @param {string} glob Glob pattern.
+ * @returns {!RegExp} Regular expression which matches the entire string
+ * matched by glob.
+ */
+function globToRegExp(glob) {
+  const source = glob.replaceAll(
+    /\\(.)|([*?])|[$()+.[\\\]^{|}]/gsu,
+    (match, escaped, wildcard) => {
+      if (wildcard) {
+        return wildcard === '*' ? '.*' : '.';
+      }
+
+      return escapeRegExp(escaped === undefined ? match : escaped);
+    },
+  );
+  return new RegExp(`^${source}$`, 'su');
+}
+
+/** Parses a pattern which matches contexts of statuses and checks.
+ *
+ * @private
+ * @param {string} pattern Regular expression delimited by / with optional
+ * flags (e.g. /^ci\//i), or a glob pattern (e.g. ci/*) which matches the
+ * entire context.
+ * @returns {!RegExp} Regular expression for pattern.
+ * @throws {SyntaxError} If pattern is an invalid regular expression.
+ */
+export function parseContextPattern(pattern) {
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : globToRegExp(pattern);
+}
+
+/** Determines whether a context is included by the given filter options.
+ *
+ * @private
+ * @param {string} context Context (i.e. name) of a status or check.
+ * @param {!ContextFilterOptions} options Patterns of contexts to include
+ * and exclude.
+ * @returns {boolean} true if context matches any of options.contexts (or
+ * options.contexts is empty) and none of options.excludeContexts.
+ */
+export function isContextIncluded(context, { contexts, excludeContexts }) {
+  function matches(pattern) {
+    // Reset lastIndex in case pattern has the g or y flag
+    pattern.lastIndex = 0;
+    return pattern.test(context);
+  }
+
+  return (!contexts || contexts.length === 0 || contexts.some(matches))
+    && (!excludeContexts || !excludeContexts.some(matches));
+}
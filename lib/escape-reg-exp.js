@@ -0,0 +1,17 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+/** Escapes characters with special meaning in a regular expression.
+ *
+ * The escaped string is valid with or without the u flag, outside of a
+ * character class.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} Pattern which matches str literally.
+ */
+export default function escapeRegExp(str) {
+  return str.replaceAll(/[$()*+.?[\\\]^{|}]/gu, '\\$&');
+}
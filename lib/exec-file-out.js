@@ -11,7 +11,8 @@ import { execFile } from 'node:child_process';
  * @param {string} file The name or path of the executable file to run
  * @param {Array<string>=} args List of string arguments
  * @param {module:child_process.ExecFileOptions=} options Options to pass to
- * {@link module:child_process.execFile}.
+ * {@link module:child_process.execFile}.  If options.signal is aborted, the
+ * process is killed and the Promise is rejected with an AbortError.
  * @returns {!Promise<string|!Buffer>} Promise of <code>stdout</code> or
  * Error if <code>execFile</code> fails or <code>stderr</code> contains
  * non-whitespace characters.
@@ -0,0 +1,210 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Maximum number of nodes per page supported by the GitHub GraphQL API.
+// https://docs.github.com/graphql/overview/rate-limits-and-query-limits-for-the-graphql-api
+const perPage = 100;
+
+// Note: Property names of StatusContext and CheckRun are aliased to match the
+// REST API, so the results can be used in place of REST responses.
+const statusCheckRollupQuery = `
+query statusCheckRollup(
+  $owner: String!
+  $repo: String!
+  $ref: String!
+  $first: Int!
+  $after: String
+) {
+  rateLimit {
+    limit
+    remaining
+    resetAt
+  }
+  repository(owner: $owner, name: $repo) {
+    object(expression: $ref) {
+      ... on Commit {
+        oid
+        statusCheckRollup {
+          contexts(first: $first, after: $after) {
+            checkRunCount
+            statusContextCount
+            pageInfo {
+              endCursor
+              hasNextPage
+            }
+            nodes {
+              typename: __typename
+              ... on StatusContext {
+                avatar_url: avatarUrl
+                context
+                created_at: createdAt
+                description
+                state
+                target_url: targetUrl
+              }
+              ... on CheckRun {
+                checkSuite {
+                  app {
+                    id: databaseId
+                    name
+                    slug
+                  }
+                }
+                completed_at: completedAt
+                conclusion
+                details_url: detailsUrl
+                html_url: url
+                name
+                started_at: startedAt
+                status
+                summary
+                title
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+`;
+
+function lowerCaseOrNull(value) {
+  // eslint-disable-next-line unicorn/no-null
+  return typeof value === 'string' ? value.toLowerCase() : null;
+}
+
+/** Converts a StatusContext node to a "statuses" object like the REST API.
+ *
+ * @private
+ * @param {!object} node StatusContext node from the GraphQL API.
+ * @returns {!object} "statuses" object.
+ */
+function statusContextToStatus({ typename, state, ...status }) {
+  return {
+    ...status,
+    // EXPECTED is reported for required contexts which have not been set.
+    state: state === 'EXPECTED' ? 'pending' : lowerCaseOrNull(state),
+  };
+}
+
+/** Converts a CheckRun node to a "check_run" object like the REST API.
+ *
+ * @private
+ * @param {!object} node CheckRun node from the GraphQL API.
+ * @returns {!object} "check_run" object.
+ */
+function checkRunNodeToCheckRun({
+  typename,
+  checkSuite,
+  conclusion,
+  status,
+  summary,
+  title,
+  ...checkRun
+}) {
+  return {
+    ...checkRun,
+    app: checkSuite && checkSuite.app,
+    conclusion: lowerCaseOrNull(conclusion),
+    output: { summary, title },
+    status: lowerCaseOrNull(status),
+  };
+}
+
+/** Fetches the combined CI status and check runs for a commit using the
+ * statusCheckRollup of the commit from the GitHub GraphQL API, which
+ * requires a single request (per 100 statuses and check runs) rather than
+ * two for the REST API.
+ *
+ * @private
+ * @param {!module:"@octokit/core".Octokit} octokit Octokit instance to use
+ * for requests.
+ * @param {!{owner: string, repo: string, ref: string}} apiArgs Arguments to
+ * pass to the GitHub API.
+ * @param {{
+ *   onRateLimit: (function(!object)|undefined),
+ *   signal: (AbortSignal|undefined)
+ * }=} options Options.  If onRateLimit is set, it is called with the
+ * rateLimit object ({limit, remaining, resetAt}) of each response.  If
+ * signal is set, it is used to cancel requests.
+ * @returns {!Promise<!Array<!object>>} Promise for the combined status and
+ * check runs list, with the same properties used from the REST API
+ * responses.
+ * @throws {Error} If the GraphQL request fails or ref can not be resolved to
+ * a commit.
+ */
+export default async function fetchCiStatusGraphql(
+  octokit,
+  apiArgs,
+  { onRateLimit, signal } = {},
+) {
+  // Octokit options for each request, to cancel requests on abort
+  const requestOptions = signal ? { request: { signal } } : undefined;
+  const statuses = [];
+  const checkRuns = [];
+  let sha;
+  let statusTotal = 0;
+  let checkTotal = 0;
+  let after;
+  do {
+    // Pages must be fetched sequentially to get the cursor for the next.
+    const { rateLimit, repository } =
+      // eslint-disable-next-line no-await-in-loop
+      await octokit.graphql(statusCheckRollupQuery, {
+        owner: apiArgs.owner,
+        repo: apiArgs.repo,
+        ref: apiArgs.ref,
+        first: perPage,
+        after,
+        ...requestOptions,
+      });
+    if (onRateLimit && rateLimit) {
+      onRateLimit(rateLimit);
+    }
+
+    const commit = repository && repository.object;
+    if (!commit || !commit.oid) {
+      throw new Error(
+        `Unable to resolve '${apiArgs.ref}' to a commit using GraphQL.`,
+      );
+    }
+
+    sha = commit.oid;
+    const { statusCheckRollup } = commit;
+    if (!statusCheckRollup) {
+      // No statuses or check runs for commit
+      break;
+    }
+
+    const { contexts } = statusCheckRollup;
+    statusTotal = contexts.statusContextCount;
+    checkTotal = contexts.checkRunCount;
+    for (const node of contexts.nodes) {
+      if (node.typename === 'StatusContext') {
+        statuses.push(statusContextToStatus(node));
+      } else if (node.typename === 'CheckRun') {
+        checkRuns.push(checkRunNodeToCheckRun(node));
+      }
+    }
+
+    after = contexts.pageInfo.hasNextPage ? contexts.pageInfo.endCursor
+      : undefined;
+  } while (after);
+
+  /* eslint-disable camelcase */
+  return [
+    {
+      sha,
+      statuses,
+      total_count: statusTotal,
+    },
+    {
+      check_runs: checkRuns,
+      total_count: checkTotal,
+    },
+  ];
+  /* eslint-enable camelcase */
+}
@@ -11,14 +11,207 @@ import { setTimeout as setTimeoutP } from 'node:timers/promises';
 // eslint-disable-next-line import/no-unresolved
 import { Octokit } from '@octokit/rest';
 
+import { isContextIncluded } from './context-filter.js';
+import fetchCiStatusGraphql from './fetch-ci-status-graphql.js';
 import getPackageJson from './get-package-json.js';
+import {
+  getRateLimitErrorWaitMs,
+  getRateLimitWaitMs,
+  isRateLimitError,
+} from './rate-limit.js';
+import {
+  fetchRequiredChecks,
+  filterRequiredChecks,
+} from './required-checks.js';
 import retryAsync from './retry-async.js';
+import {
+  getCheckRunState,
+  isActionsRunCheckRun,
+  stateToExitCode,
+} from './status-utils.js';
 import {
   HttpAgentMockSymbol,
   HttpsAgentMockSymbol,
   OctokitMockSymbol,
 } from './symbols.js';
 
+// Maximum number of results per page supported by the GitHub API.
+// https://docs.github.com/rest/using-the-rest-api/using-pagination-in-the-rest-api
+const perPage = 100;
+
+// Maximum number of consecutive retries after transient or rate limit errors
+// while waiting.
+const maxErrorRetries = 5;
+
+// Error codes of network errors which may succeed if retried.
+const transientErrorCodes = new Set([
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETDOWN',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+/** Determines whether an error from Octokit is transient (i.e. may not occur
+ * if the request is retried), such as network errors and 5xx responses.
+ *
+ * @private
+ * @param {*} err Error from Octokit.
+ * @returns {boolean} true if err is likely to be transient, otherwise false.
+ */
+function isTransientError(err) {
+  if (!err || err.name === 'AbortError') {
+    return false;
+  }
+
+  // Octokit rejects with status 500 for network errors, with the error from
+  // fetch as the cause.
+  if (err.status >= 500) {
+    return true;
+  }
+
+  for (let cause = err; cause; cause = cause.cause) {
+    if (transientErrorCodes.has(cause.code)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/** Combines the combined status and check runs list for a commit from the
+ * base repository of a pull request with those from the head repository.
+ *
+ * @private
+ * @param {!Array<!object>} baseResult Combined status and check runs list
+ * from the base repository.
+ * @param {!Array<!object>} headResult Combined status and check runs list
+ * from the head repository.
+ * @returns {!Array<!object>} Combined status and check runs list with the
+ * statuses and check runs from both repositories.
+ */
+function mergeHeadResult(
+  [baseStatus, baseChecks],
+  [headStatus, headChecks],
+) {
+  /* eslint-disable camelcase */
+  return [
+    {
+      ...baseStatus,
+      statuses: [...baseStatus.statuses, ...headStatus.statuses],
+      total_count: baseStatus.total_count + headStatus.total_count,
+    },
+    {
+      ...baseChecks,
+      check_runs: [...baseChecks.check_runs, ...headChecks.check_runs],
+      total_count: baseChecks.total_count + headChecks.total_count,
+    },
+  ];
+  /* eslint-enable camelcase */
+}
+
+/** Information about the statuses and checks from a single poll.
+ *
+ * @private
+ * @typedef {!object} PollInfo
+ * @property {number} time Time of the poll, in milliseconds since the epoch.
+ * @property {number} statusCount Number of CI statuses (which are not
+ * excluded by contexts or excludeContexts).
+ * @property {number} statusWaitCount Number of those CI statuses which are
+ * pending.
+ * @property {number} checkCount Number of check runs (which are not
+ * excluded by contexts, excludeActionsRun, or excludeContexts).
+ * @property {number} checkWaitCount Number of those check runs which are not
+ * completed.
+ */
+
+/** Options for {@link fetchCiStatus}.
+ *
+ * @private
+ * @typedef {!object} FetchCiStatusOptions
+ * @property {!Array<!RegExp>=} contexts Patterns of contexts (i.e. names)
+ * of statuses and check runs to consider when determining whether to retry.
+ * If empty or undefined, all statuses and check runs which are not excluded
+ * are considered.
+ * @property {(function(string))=} debug Function called with debug messages.
+ * @property {!Array<string>=} expectContexts Contexts (i.e. names) of
+ * statuses or check runs which are expected to be reported.  When retrying,
+ * expected contexts which have not been reported are treated as pending.
+ * Expected contexts which are excluded by contexts or excludeContexts, or
+ * which are not required (if required is set), are ignored.
+ * @property {number=} expectCount Minimum number of statuses and check runs
+ * (which are not excluded) expected to be reported.  When retrying, fewer
+ * statuses and check runs are treated as pending.
+ * @property {!{
+ *   runId: string,
+ *   job: (string|undefined),
+ *   jobId: (number|string|undefined)
+ * }=} excludeActionsRun GitHub Actions workflow run (and optionally job) for
+ * which check runs are ignored when determining whether to retry, such as
+ * the job running this process (which would otherwise be waited on until
+ * timeout).  See {@link isActionsRunCheckRun}.
+ * @property {!Array<!RegExp>=} excludeContexts Patterns of contexts of
+ * statuses and check runs to ignore when determining whether to retry.
+ * @property {boolean=} graphql If truthy, fetch statuses and check runs
+ * using a single GitHub GraphQL API query, falling back to the REST API if
+ * the query fails (e.g. due to lack of authentication or an older GitHub
+ * Enterprise Server) for reasons other than rate limiting.
+ * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
+ * use for requests.
+ * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
+ * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {(function(!Array<!object>, !PollInfo))=} onPoll Function called
+ * with the combined status and check runs from each poll.
+ * @property {number=} pullNumber Number of a pull request.  If set, statuses
+ * are fetched for the head commit of the pull request and apiArgs.ref is
+ * ignored.  If the head is in a fork, statuses and check runs are fetched
+ * from both the base repository (apiArgs) and the fork.
+ * @property {boolean=} resolveRef If truthy, apiArgs.ref is resolved to a
+ * commit hash using the GitHub API before fetching statuses, so that all
+ * polls are for the same commit.  Any commit hash (or prefix), branch, or tag
+ * name is accepted.
+ * @property {(boolean|string)=} required If truthy, only statuses and check
+ * runs required by the branch protection rules and rulesets of a branch are
+ * returned (and considered when determining whether to retry), along with a
+ * pending status for each required check which has not been reported.  If a
+ * string, it is the name of the branch.  Otherwise, the base branch of
+ * options.pullNumber or the default branch of the repository is used.
+ * @property {!module:"lib/retry-async.js".RetryAsyncOptions=} retry Options
+ * to control retry attempts.  If truthy, will retry while pending.
+ * @property {!AbortSignal=} signal Signal which, when aborted, cancels any
+ * in-progress request or wait and rejects with the abort reason.
+ * @property {boolean=} waitAll If truthy, retry as long as any status is
+ * pending (instead of returning once any status fails).
+ */
+
+/** Fetches the combined CI status and check runs for a commit, optionally
+ * retrying while they are pending.
+ *
+ * When retrying, REST API requests include the ETag of the previous response
+ * for the same page in If-None-Match, and the previous response is reused if
+ * the server responds 304 Not Modified.  (GraphQL API requests are not made
+ * conditionally.)  Waits between retries are lengthened as
+ * necessary to respect Retry-After, X-Poll-Interval, and the remaining rate
+ * limit.  Polls which fail due to rate limiting or transient network or
+ * server errors are retried, up to 5 times in a row.
+ *
+ * All pages of statuses and check runs are fetched, so the .statuses and
+ * .check_runs of the results contain every item (unless items are added
+ * while paging), which can be compared to .total_count.
+ *
+ * @private
+ * @param {!{owner: string, repo: string, ref: string}} apiArgs Arguments to
+ * pass to the GitHub API.  ref may be omitted if options.pullNumber is set.
+ * @param {!FetchCiStatusOptions=} options Options.
+ * @returns {!Promise<!Array<!object>>} Promise for the combined status and
+ * check runs list.
+ */
 export default async function fetchCiStatus(apiArgs, options = {}) {
   let agent;
   let { octokit } = options;
@@ -59,63 +252,426 @@ export default async function fetchCiStatus(apiArgs, options = {}) {
     octokit = new OctokitOrMock(octokitOptions);
   }
 
-  async function getStatus() {
-    const response = await octokit.repos.getCombinedStatusForRef(apiArgs);
-    return response.data;
+  const { signal } = options;
+  // Octokit options for each request, to cancel requests on abort
+  const requestOptions = signal ? { request: { signal } } : undefined;
+
+  async function getCommitSha() {
+    try {
+      const response = await octokit.repos.getCommit({
+        ...apiArgs,
+        ...requestOptions,
+        mediaType: { format: 'sha' },
+      });
+      return String(response.data).trim();
+    } catch (err) {
+      err.message =
+        `Unable to resolve '${apiArgs.ref}' to a commit hash: ${err.message}`;
+      throw err;
+    }
   }
 
-  async function listForRef() {
-    const response = await octokit.checks.listForRef(apiArgs);
-    return response.data;
+  async function getPull(pullNumber) {
+    try {
+      const response = await octokit.pulls.get({
+        owner: apiArgs.owner,
+        repo: apiArgs.repo,
+        pull_number: pullNumber, // eslint-disable-line camelcase
+        ...requestOptions,
+      });
+      return response.data;
+    } catch (err) {
+      err.message =
+        `Unable to get head of pull request #${pullNumber}: ${err.message}`;
+      throw err;
+    }
   }
 
-  function getBoth() {
-    return Promise.all([
-      getStatus(),
-      listForRef(),
-    ]);
+  async function getDefaultBranch() {
+    try {
+      const response = await octokit.repos.get({
+        owner: apiArgs.owner,
+        repo: apiArgs.repo,
+        ...requestOptions,
+      });
+      return response.data.default_branch;
+    } catch (err) {
+      err.message = `Unable to get default branch: ${err.message}`;
+      throw err;
+    }
+  }
+
+  async function getRequiredChecks(branch) {
+    try {
+      return await fetchRequiredChecks(
+        octokit,
+        {
+          owner: apiArgs.owner,
+          repo: apiArgs.repo,
+          branch,
+        },
+        requestOptions,
+      );
+    } catch (err) {
+      err.message =
+        `Unable to get required checks for '${branch}': ${err.message}`;
+      throw err;
+    }
   }
 
-  const { debug, retry, waitAll } = options;
+  // Response of each page request from the previous poll, by page key, for
+  // conditional requests.  304 responses do not count against the rate limit.
+  // https://docs.github.com/rest/using-the-rest-api/best-practices-for-using-the-rest-api#use-conditional-requests-if-appropriate
+  const cachedResponses = new Map();
+
+  // Headers of each response in the current poll, for rate limiting.
+  let pollHeaders = [];
+  // Minimum wait due to a rate limit error in the current poll which is not
+  // determined by pollHeaders.
+  let pollErrorWaitMs = 0;
+
+  /** Fetches a page using If-None-Match with the ETag of the previous
+   * response for the same page, if any, and returns the previous response if
+   * it has not been modified.
+   *
+   * @private
+   * @param {function(!object): !Promise<!object>} fetchPage Function which
+   * fetches a page of results for given API arguments.
+   * @param {string} pageKey Key which identifies the page across polls.
+   * @param {!object} pageArgs API arguments for the page.
+   * @returns {!Promise<!object>} Response for the page.
+   */
+  async function fetchPageConditional(fetchPage, pageKey, pageArgs) {
+    const cached = cachedResponses.get(pageKey);
+    const etag = cached && cached.headers && cached.headers.etag;
+    let response;
+    try {
+      response = await fetchPage(
+        etag ? { ...pageArgs, headers: { 'if-none-match': etag } } : pageArgs,
+      );
+    } catch (err) {
+      if (err.response && err.response.headers) {
+        pollHeaders.push(err.response.headers);
+      }
+
+      // Octokit rejects with RequestError for 304 Not Modified
+      if (etag && err.status === 304) {
+        return cached;
+      }
+
+      throw err;
+    }
+
+    if (response.headers) {
+      pollHeaders.push(response.headers);
+    }
+
+    if (response.headers && response.headers.etag) {
+      cachedResponses.set(pageKey, response);
+    } else {
+      cachedResponses.delete(pageKey);
+    }
+
+    return response;
+  }
+
+  /** Fetches each page of a paginated API response until total_count items
+   * have been fetched or a page is not full.
+   *
+   * @private
+   * @param {function(!object): !Promise<!object>} fetchPage Function which
+   * fetches a page of results for given API arguments.
+   * @param {string} itemsProp Name of the response data property containing
+   * the Array of items on each page.
+   * @param {!{owner: string, repo: string, ref: string}} repoArgs Arguments
+   * to pass to the GitHub API.
+   * @returns {!Promise<!object>} Response data of the first page with
+   * itemsProp containing the items from all pages.
+   */
+  async function fetchAllPages(fetchPage, itemsProp, repoArgs) {
+    const keyPrefix = `${repoArgs.owner}/${repoArgs.repo}/${itemsProp}`;
+    const { data } = await fetchPageConditional(fetchPage, `${keyPrefix}/1`, {
+      ...repoArgs,
+      ...requestOptions,
+      per_page: perPage, // eslint-disable-line camelcase
+      page: 1,
+    });
+    const items = [...data[itemsProp]];
+    let pageItems = items;
+    for (let page = 2;
+      pageItems.length >= perPage && items.length < data.total_count;
+      page += 1) {
+      // Pages must be fetched sequentially to know when to stop.
+      // eslint-disable-next-line no-await-in-loop
+      const response = await fetchPageConditional(
+        fetchPage,
+        `${keyPrefix}/${page}`,
+        {
+          ...repoArgs,
+          ...requestOptions,
+          per_page: perPage, // eslint-disable-line camelcase
+          page,
+        },
+      );
+      pageItems = response.data[itemsProp];
+      items.push(...pageItems);
+    }
+
+    return {
+      ...data,
+      [itemsProp]: items,
+    };
+  }
+
+  function getStatus(repoArgs) {
+    return fetchAllPages(
+      (args) => octokit.repos.getCombinedStatusForRef(args),
+      'statuses',
+      repoArgs,
+    );
+  }
+
+  function listForRef(repoArgs) {
+    return fetchAllPages(
+      (args) => octokit.checks.listForRef(args),
+      'check_runs',
+      repoArgs,
+    );
+  }
+
+  const {
+    contexts,
+    debug,
+    excludeActionsRun,
+    excludeContexts,
+    expectContexts,
+    expectCount,
+    onPoll,
+    required,
+    retry,
+    waitAll,
+  } = options;
+
+  // Status checks required by the target branch, if options.required
+  let requiredChecks;
 
   let statusCount = 0;
   let statusWaitCount = 0;
   let checkCount = 0;
   let checkWaitCount = 0;
-  function shouldRetry([combinedStatus, checksList]) {
-    const { statuses } = combinedStatus;
-    const checkRuns = checksList.check_runs;
+  // Number of expected statuses and checks which have not been reported
+  let expectWaitCount = 0;
+  let hasFailure = false;
+  const contextFilter = { contexts, excludeContexts };
+  function updateCounts([combinedStatus, checksList], fetchedResult) {
+    const statuses = combinedStatus.statuses.filter(
+      (status) => isContextIncluded(status.context, contextFilter),
+    );
+    const includedCheckRuns = checksList.check_runs.filter(
+      (checkRun) => isContextIncluded(checkRun.name, contextFilter),
+    );
+    const checkRuns = !excludeActionsRun ? includedCheckRuns
+      : includedCheckRuns.filter(
+        (checkRun) => !isActionsRunCheckRun(checkRun, excludeActionsRun),
+      );
+
+    hasFailure = false;
 
     statusCount = statuses.length;
     statusWaitCount = 0;
     for (const status of statuses) {
-      if (status.state === 'pending') {
+      const exitCode = stateToExitCode(status.state);
+      if (exitCode === 2) {
         statusWaitCount += 1;
-      } else if (!waitAll && status.state !== 'success') {
-        // Combined status is not pending and user didn't request wait all.
-        return false;
+      } else if (exitCode !== 0) {
+        hasFailure = true;
       }
     }
 
     checkCount = checkRuns.length;
     checkWaitCount = 0;
     for (const checkRun of checkRuns) {
-      if (checkRun.status === 'queued' || checkRun.status === 'in_progress') {
+      const exitCode = stateToExitCode(getCheckRunState(checkRun));
+      if (exitCode === 2) {
         checkWaitCount += 1;
-      } else if (!waitAll
-        && checkRun.conclusion !== 'success'
-        && checkRun.conclusion !== 'neutral') {
-        // Combined status is not pending and user didn't request wait all.
-        return false;
+      } else if (exitCode !== 0) {
+        hasFailure = true;
       }
     }
 
+    // Expected contexts are reported if they are in the fetched statuses and
+    // check runs, even if excluded by a filter or from a different app than
+    // required.  Expectations excluded by the filters are not waited on.
+    const [fetchedStatus, fetchedChecks] = fetchedResult;
+    const reportedContexts = new Set([
+      ...fetchedStatus.statuses.map((status) => status.context),
+      ...fetchedChecks.check_runs.map((checkRun) => checkRun.name),
+    ]);
+    const missingContextCount = !expectContexts ? 0
+      : expectContexts.filter(
+        (context) => isContextIncluded(context, contextFilter)
+          && (!requiredChecks
+            || requiredChecks.some((check) => check.context === context))
+          && !reportedContexts.has(context),
+      ).length;
+    const missingCount = !expectCount ? 0
+      : Math.max(expectCount - statusCount - checkCount, 0);
+    expectWaitCount = Math.max(missingContextCount, missingCount);
+  }
+
+  /** Adds the rateLimit of a GraphQL response to pollHeaders, as the
+   * equivalent REST API headers.
+   *
+   * @private
+   * @param {!{limit: number, remaining: number, resetAt: string}} rateLimit
+   * rateLimit object from the GraphQL API.
+   */
+  function onGraphqlRateLimit({ limit, remaining, resetAt }) {
+    const resetSec = Math.floor(Date.parse(resetAt) / 1000);
+    pollHeaders.push({
+      'x-ratelimit-limit': String(limit),
+      'x-ratelimit-remaining': String(remaining),
+      'x-ratelimit-reset': String(resetSec),
+    });
+  }
+
+  let shouldUseGraphql = Boolean(options.graphql);
+  async function fetchBoth(repoArgs) {
+    if (shouldUseGraphql) {
+      try {
+        return await fetchCiStatusGraphql(octokit, repoArgs, {
+          onRateLimit: onGraphqlRateLimit,
+          signal,
+        });
+      } catch (errGraphql) {
+        if (signal && signal.aborted) {
+          throw errGraphql;
+        }
+
+        // The REST API is likely also rate limited.  Wait and retry GraphQL.
+        if (isRateLimitError(errGraphql)) {
+          // GraphqlResponseError has .headers, RequestError has .response
+          const headers = errGraphql.headers
+            || (errGraphql.response && errGraphql.response.headers);
+          if (headers) {
+            pollHeaders.push(headers);
+          }
+
+          throw errGraphql;
+        }
+
+        shouldUseGraphql = false;
+        if (debug) {
+          debug(`GraphQL query failed, using REST API: ${errGraphql}`);
+        }
+      }
+    }
+
+    return Promise.all([
+      getStatus(repoArgs),
+      listForRef(repoArgs),
+    ]);
+  }
+
+  // Owner and repo of the head of options.pullNumber, if it is in a fork
+  let headRepoArgs;
+
+  async function getBoth() {
+    pollHeaders = [];
+    pollErrorWaitMs = 0;
+    let fetchedResult;
+    if (headRepoArgs) {
+      const headArgs = { ...headRepoArgs, ref: apiArgs.ref };
+      const [baseResult, headResult] =
+        await Promise.all([fetchBoth(apiArgs), fetchBoth(headArgs)]);
+      fetchedResult = mergeHeadResult(baseResult, headResult);
+    } else {
+      fetchedResult = await fetchBoth(apiArgs);
+    }
+
+    const result = requiredChecks
+      ? filterRequiredChecks(fetchedResult, requiredChecks)
+      : fetchedResult;
+    updateCounts(result, fetchedResult);
+    if (onPoll) {
+      const now = (retry && retry.now) || Date.now;
+      onPoll(result, {
+        time: now(),
+        statusCount,
+        statusWaitCount,
+        checkCount,
+        checkWaitCount,
+      });
+    }
+    return result;
+  }
+
+  function adjustWaitMs(waitMs) {
+    const now = (retry && retry.now) || Date.now;
+    const rateLimitWaitMs = Math.max(
+      getRateLimitWaitMs(pollHeaders, now()),
+      pollErrorWaitMs,
+    );
+    if (rateLimitWaitMs <= waitMs) {
+      return waitMs;
+    }
+
+    if (debug) {
+      debug(
+        `Increasing wait from ${waitMs / 1000} to ${rateLimitWaitMs / 1000} `
+        + 'seconds due to API rate limit.',
+      );
+    }
+
+    return rateLimitWaitMs;
+  }
+
+  function shouldRetry() {
+    if (requiredChecks && requiredChecks.length === 0) {
+      // No statuses or checks will be reported for the branch to wait for.
+      return false;
+    }
+
+    if (!waitAll && hasFailure) {
+      // Combined status is not pending and user didn't request wait all.
+      return false;
+    }
+
     return statusWaitCount > 0
       || checkWaitCount > 0
+      || expectWaitCount > 0
       || (statusCount === 0 && checkCount === 0);
   }
 
+  function shouldRetryError(err) {
+    // If rate limited, wait until the limit allows and try again.
+    // adjustWaitMs waits for Retry-After or reset from the error response,
+    // or at least a minute if neither is present.
+    if (isRateLimitError(err)) {
+      pollErrorWaitMs = getRateLimitErrorWaitMs(err);
+      if (debug) {
+        debug(`Rate limited: ${err.message}`);
+      }
+
+      return true;
+    }
+
+    if (!isTransientError(err)) {
+      return false;
+    }
+
+    if (debug) {
+      debug(`Retrying after transient error: ${err}`);
+    }
+
+    return true;
+  }
+
   const retryOptions = {
+    adjustWaitMs,
+    maxErrorRetries,
+    shouldRetryError,
+    signal,
     ...retry,
     shouldRetry,
   };
@@ -137,6 +693,12 @@ export default async function fetchCiStatus(apiArgs, options = {}) {
           }
           waitingFor += `${checkWaitCount}/${checkCount} checks`;
         }
+        if (expectWaitCount > 0) {
+          if (waitingFor) {
+            waitingFor += ' and ';
+          }
+          waitingFor += `${expectWaitCount} expected statuses or checks`;
+        }
       }
 
       options.debug(
@@ -147,6 +709,52 @@ export default async function fetchCiStatus(apiArgs, options = {}) {
   }
 
   try {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    let pull;
+    if (options.pullNumber !== undefined) {
+      pull = await getPull(options.pullNumber);
+      apiArgs = {
+        ...apiArgs,
+        ref: pull.head.sha,
+      };
+
+      // Statuses and check runs may be reported to the head repository by
+      // CI for the fork (e.g. on push) in addition to the base repository.
+      // head.repo is null if the fork has been deleted.
+      const headRepo = pull.head.repo;
+      const baseFullName = `${apiArgs.owner}/${apiArgs.repo}`;
+      if (headRepo
+        && headRepo.full_name.toLowerCase() !== baseFullName.toLowerCase()) {
+        headRepoArgs = {
+          owner: headRepo.owner.login,
+          repo: headRepo.name,
+        };
+        if (debug) {
+          debug(`Also fetching statuses from head repo ${headRepo.full_name}`);
+        }
+      }
+    } else if (options.resolveRef) {
+      apiArgs = {
+        ...apiArgs,
+        ref: await getCommitSha(),
+      };
+    }
+
+    if (required) {
+      const branch = typeof required === 'string' ? required
+        : pull ? pull.base.ref
+          : await getDefaultBranch();
+      requiredChecks = await getRequiredChecks(branch);
+      if (debug) {
+        const requiredContexts =
+          requiredChecks.map((check) => check.context).join(', ');
+        debug(`Required checks for ${branch}: ${requiredContexts || 'none'}`);
+      }
+    }
+
     return await (retry ? retryAsync(getBoth, retryOptions) : getBoth());
   } finally {
     if (agent) {
@@ -0,0 +1,87 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// https://github.com/import-js/eslint-plugin-import/issues/1810
+// eslint-disable-next-line import/no-unresolved
+import { Octokit } from '@octokit/rest';
+
+import getPackageJson from './get-package-json.js';
+import { OctokitMockSymbol } from './symbols.js';
+
+// Maximum number of results per page supported by the GitHub API.
+// https://docs.github.com/rest/using-the-rest-api/using-pagination-in-the-rest-api
+const perPage = 100;
+
+/** Options for {@link fetchRunnerJob}.
+ *
+ * @private
+ * @typedef {!object} FetchRunnerJobOptions
+ * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
+ * use for requests.
+ * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
+ * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {!AbortSignal=} signal Signal which, when aborted, cancels any
+ * in-progress request and rejects with the abort reason.
+ */
+
+/** Fetches the job of a GitHub Actions workflow run attempt which is in
+ * progress on a given runner, such as the job running this process.
+ *
+ * A runner runs one job at a time, so the runner name identifies the job
+ * more reliably than the job name, which may be set from the job ID, a
+ * name: property, expressions, and matrix values.
+ *
+ * @private
+ * @param {!{
+ *   owner: string,
+ *   repo: string,
+ *   runId: string,
+ *   runAttempt: string,
+ *   runnerName: string
+ * }} apiArgs Repository, ID and attempt number of the workflow run (e.g.
+ * from GITHUB_RUN_ID and GITHUB_RUN_ATTEMPT), and name of the runner (e.g.
+ * from RUNNER_NAME).
+ * @param {!FetchRunnerJobOptions=} options Options.
+ * @returns {!Promise<!object|undefined>} Promise for the "job" object from the
+ * GitHub API, or undefined if no job is in progress on the runner.
+ */
+export default async function fetchRunnerJob(apiArgs, options = {}) {
+  let { octokit } = options;
+  if (octokit === undefined) {
+    const { [OctokitMockSymbol]: OctokitMock } = options;
+    const packageJson = await getPackageJson();
+    const OctokitOrMock = OctokitMock || Octokit;
+    octokit = new OctokitOrMock({
+      userAgent: `${packageJson.name}/${packageJson.version}`,
+      ...options.octokitOptions,
+    });
+  }
+
+  const { signal } = options;
+  // Octokit options for each request, to cancel requests on abort
+  const requestOptions = signal ? { request: { signal } } : undefined;
+  for (let page = 1; ; page += 1) {
+    // Pages are fetched sequentially to stop once the job is found.
+    // https://docs.github.com/rest/actions/workflow-jobs#list-jobs-for-a-workflow-run-attempt
+    // eslint-disable-next-line no-await-in-loop
+    const response = await octokit.actions.listJobsForWorkflowRunAttempt({
+      owner: apiArgs.owner,
+      repo: apiArgs.repo,
+      run_id: apiArgs.runId, // eslint-disable-line camelcase
+      attempt_number: apiArgs.runAttempt, // eslint-disable-line camelcase
+      per_page: perPage, // eslint-disable-line camelcase
+      page,
+      ...requestOptions,
+    });
+    const { jobs } = response.data;
+    const job = jobs.find(
+      (runJob) => runJob.runner_name === apiArgs.runnerName
+        && runJob.status === 'in_progress',
+    );
+    if (job || jobs.length < perPage) {
+      return job;
+    }
+  }
+}
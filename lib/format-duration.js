@@ -0,0 +1,33 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+/** Formats a duration as hours, minutes, and seconds (e.g. 1h2m3s).
+ *
+ * Durations are rounded to the nearest second and units before the first
+ * non-zero unit are omitted.
+ *
+ * @private
+ * @param {number} durationMs Duration, in milliseconds.
+ * @returns {string} Formatted duration.
+ * @throws {TypeError} If durationMs is not a number.
+ * @throws {RangeError} If durationMs is negative or not finite.
+ */
+export default function formatDuration(durationMs) {
+  if (typeof durationMs !== 'number') {
+    throw new TypeError('durationMs must be a number');
+  }
+  // eslint-disable-next-line no-restricted-globals
+  if (durationMs < 0 || !isFinite(durationMs)) {
+    throw new RangeError('durationMs must be non-negative and finite');
+  }
+
+  const totalSec = Math.round(durationMs / 1000);
+  const hours = Math.floor(totalSec / 3600);
+  const minutes = Math.floor((totalSec % 3600) / 60);
+  const seconds = totalSec % 60;
+  return hours > 0 ? `${hours}h${minutes}m${seconds}s`
+    : minutes > 0 ? `${minutes}m${seconds}s`
+      : `${seconds}s`;
+}
@@ -0,0 +1,148 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import { getDurationMs, stateToExitCode } from './status-utils.js';
+
+// Characters which are not allowed in XML 1.0 documents, even as references.
+// https://www.w3.org/TR/xml/#charsets
+/* eslint-disable no-control-regex, regexp/no-control-character,
+   unicorn/prefer-unicode-code-point-escapes */
+const invalidXmlCharsRegExp = /[\0-\x08\v\f\x0E-\x1F\u{FFFE}\u{FFFF}]/gu;
+/* eslint-enable no-control-regex, regexp/no-control-character,
+   unicorn/prefer-unicode-code-point-escapes */
+
+/** Escapes a string for use in XML character data or attribute values.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str with markup characters replaced by entities and
+ * characters which are not allowed in XML (e.g. from ANSI escape sequences)
+ * removed.
+ */
+function escapeXml(str) {
+  return String(str)
+    .replaceAll(invalidXmlCharsRegExp, '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('\'', '&apos;');
+}
+
+/** Gets the text describing a status for the body of a failure element.
+ *
+ * @private
+ * @param {!object} status "statuses" object.
+ * @returns {string} Target URL and output summary (or description) of status.
+ */
+function getFailureText(status) {
+  const { output } = status;
+  return [
+    status.target_url,
+    output && output.title,
+    output ? output.summary : status.description,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/** Gets the JUnit result for a status with a given state.
+ *
+ * @private
+ * @param {string} state State of the status.
+ * @returns {string} "pass", "skipped", or "failure".
+ */
+function getTestCaseResult(state) {
+  if (state === 'skipped') {
+    return 'skipped';
+  }
+
+  switch (stateToExitCode(state)) {
+    case 0:
+      return 'pass';
+
+    case 2:
+      return 'skipped';
+
+    default:
+      return 'failure';
+  }
+}
+
+function formatTestCase(status, className) {
+  const durationMs = getDurationMs(status);
+  const timeAttr =
+    durationMs === undefined ? '' : ` time="${durationMs / 1000}"`;
+  const testCase =
+    `    <testcase name="${escapeXml(status.context)}"`
+    + ` classname="${escapeXml(className)}"${timeAttr}`;
+  const state = escapeXml(status.state);
+  switch (getTestCaseResult(status.state)) {
+    case 'pass':
+      return `${testCase}/>`;
+
+    case 'skipped':
+      return `${testCase}>\n`
+        + `      <skipped message="${state}"/>\n`
+        + '    </testcase>';
+
+    default:
+      return `${testCase}>\n`
+        + `      <failure message="${state}" type="${state}">`
+        + `${escapeXml(getFailureText(status))}</failure>\n`
+        + '    </testcase>';
+  }
+}
+
+function getCounts(statuses) {
+  const results = statuses.map((status) => getTestCaseResult(status.state));
+  return {
+    tests: statuses.length,
+    failures: results.filter((result) => result === 'failure').length,
+    skipped: results.filter((result) => result === 'skipped').length,
+  };
+}
+
+function formatCounts({ tests, failures, skipped }) {
+  return `tests="${tests}" failures="${failures}" skipped="${skipped}"`;
+}
+
+function formatTestSuite({
+  owner,
+  repo,
+  sha,
+  statuses,
+}) {
+  const className = `${owner}/${repo}`;
+  const counts = formatCounts(getCounts(statuses));
+  return [
+    `  <testsuite name="${escapeXml(`${className}@${sha}`)}" ${counts}>`,
+    ...statuses.map((status) => formatTestCase(status, className)),
+    '  </testsuite>',
+  ];
+}
+
+/** Formats statuses as a JUnit XML report, with a testcase for each status.
+ *
+ * Statuses which failed (or have an unrecognized state) are reported as
+ * failures.  Pending and skipped statuses are reported as skipped.  Each
+ * result is reported as a testsuite.
+ *
+ * @private
+ * @param {...!object} results Owner, repo, sha, and statuses to format.
+ * @returns {string} JUnit XML document.
+ */
+export default function formatJunit(...results) {
+  const counts = formatCounts(
+    getCounts(results.flatMap((result) => result.statuses)),
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="hub-ci-status" ${counts}>`,
+    ...results.flatMap(formatTestSuite),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,101 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import formatDuration from './format-duration.js';
+import { getDurationMs, stateToExitCode } from './status-utils.js';
+
+/** Gets an emoji which represents a given state.
+ *
+ * @private
+ * @param {string} state State for which to get the emoji.
+ * @returns {string} Emoji representing state.
+ */
+function getStateEmoji(state) {
+  if (state === 'neutral' || state === 'skipped') {
+    return '⚪';
+  }
+
+  switch (stateToExitCode(state)) {
+    case 0:
+      return '✅';
+
+    case 1:
+      return '❌';
+
+    case 2:
+      return '🟡';
+
+    default:
+      return '❔';
+  }
+}
+
+/** Escapes a string for use as inline text in a Markdown table cell.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str on a single line with Markdown punctuation escaped.
+ */
+function escapeMarkdown(str) {
+  return String(str)
+    .replaceAll(/[!#()*<>[\\\]_`|~]/g, '\\$&')
+    .replaceAll(/[\n\r]+/g, ' ');
+}
+
+/** Escapes a URL for use as a Markdown link destination.
+ *
+ * @private
+ * @param {string} url URL to escape.
+ * @returns {string} url with characters which would end the link encoded.
+ */
+function escapeUrl(url) {
+  return String(url)
+    .replaceAll(' ', '%20')
+    .replaceAll('(', '%28')
+    .replaceAll(')', '%29');
+}
+
+function formatRow(status) {
+  const context = escapeMarkdown(status.context);
+  const link = status.target_url
+    ? `[${context}](${escapeUrl(status.target_url)})`
+    : context;
+  const durationMs = getDurationMs(status);
+  const duration =
+    durationMs === undefined ? '' : formatDuration(durationMs);
+  const state = escapeMarkdown(status.state);
+  return `| ${getStateEmoji(status.state)} ${state} | ${link} | ${duration} |`;
+}
+
+/** Formats statuses as Markdown, with a table row for each status followed
+ * by a line with the overall state.
+ *
+ * @private
+ * @param {!object} result Owner, repo, sha, state, and statuses to format.
+ * @returns {string} Markdown document.
+ */
+export default function formatMarkdown({
+  owner,
+  repo,
+  sha,
+  state,
+  statuses,
+}) {
+  const verdict = state
+    ? `${getStateEmoji(state)} **${escapeMarkdown(state)}**`
+    : '❔ **no status**';
+  const table = statuses.length === 0 ? []
+    : [
+      '| State | Context | Duration |',
+      '| ----- | ------- | -------- |',
+      ...statuses.map(formatRow),
+      '',
+    ];
+  return [
+    ...table,
+    `${verdict} for ${escapeMarkdown(`${owner}/${repo}`)}@\`${sha}\``,
+    '',
+  ].join('\n');
+}
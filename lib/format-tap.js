@@ -0,0 +1,128 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import { stateToExitCode } from './status-utils.js';
+
+/** Escapes a string for use as a TAP test point description.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str on a single line with \ and # escaped.
+ */
+function escapeDescription(str) {
+  return String(str)
+    .replaceAll('\\', '\\\\')
+    .replaceAll('#', '\\#')
+    .replaceAll(/[\n\r]+/g, ' ');
+}
+
+/** Formats a YAML diagnostic block for a status.
+ *
+ * @private
+ * @param {!object} status "statuses" object.
+ * @returns {!Array<string>} Lines of the YAML block, or an empty Array if
+ * there is no diagnostic information for status.
+ */
+function formatDiagnostics(status) {
+  const { output } = status;
+  const diagnostics = {
+    state: status.state,
+    url: status.target_url,
+    title: output ? output.title : undefined,
+    summary: output ? output.summary : status.description,
+  };
+  const lines = [];
+  for (const [key, value] of Object.entries(diagnostics)) {
+    if (value) {
+      // JSON strings are valid YAML double-quoted scalars
+      lines.push(`  ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  return lines.length === 0 ? [] : ['  ---', ...lines, '  ...'];
+}
+
+function formatTestPoint(status, number) {
+  const description = escapeDescription(status.context);
+  let testPoint;
+  if (status.state === 'neutral' || status.state === 'skipped') {
+    testPoint = `ok ${number} - ${description} # SKIP ${status.state}`;
+  } else {
+    switch (stateToExitCode(status.state)) {
+      case 0:
+        testPoint = `ok ${number} - ${description}`;
+        break;
+
+      case 2:
+        testPoint = `not ok ${number} - ${description} # TODO pending`;
+        break;
+
+      default:
+        testPoint = `not ok ${number} - ${description}`;
+        break;
+    }
+  }
+
+  return [testPoint, ...formatDiagnostics(status)];
+}
+
+function formatTestPoints({ statuses }) {
+  const plan = statuses.length === 0 ? '1..0 # SKIP no status'
+    : `1..${statuses.length}`;
+  return [
+    plan,
+    ...statuses.flatMap((status, i) => formatTestPoint(status, i + 1)),
+  ];
+}
+
+function formatSubtest(result, number) {
+  const name = escapeDescription(result.ref || result.sha);
+  let testPoint;
+  switch (result.exitCode) {
+    case 0:
+      testPoint = `ok ${number} - ${name}`;
+      break;
+
+    case 2:
+      testPoint = `not ok ${number} - ${name} # TODO pending`;
+      break;
+
+    default:
+      testPoint = `not ok ${number} - ${name}`;
+      break;
+  }
+
+  return [
+    `# Subtest: ${name}`,
+    ...formatTestPoints(result).map((line) => `    ${line}`),
+    testPoint,
+  ];
+}
+
+/** Formats statuses as a TAP version 14 document, with a test point for each
+ * status.
+ *
+ * Pending statuses are marked TODO.  Neutral and skipped statuses are marked
+ * SKIP.  If more than one result is given, each is formatted as a subtest
+ * named by its ref (or sha).
+ *
+ * @private
+ * @param {...!object} results Statuses (and, for subtests, ref, sha, and
+ * exitCode) to format.
+ * @returns {string} TAP document.
+ * @see {@link https://testanything.org/tap-version-14-specification.html}
+ */
+export default function formatTap(...results) {
+  const lines = results.length === 1 ? formatTestPoints(results[0])
+    : [
+      `1..${results.length}`,
+      ...results.flatMap((result, i) => formatSubtest(result, i + 1)),
+    ];
+  return [
+    'TAP version 14',
+    ...lines,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,41 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import escapeRegExp from './escape-reg-exp.js';
+
+/** Formats a template with placeholders similar to git-log(1) --format.
+ *
+ * Placeholders consist of <code>%</code> followed by a name in
+ * <code>values</code>.  <code>%n</code> is replaced with a newline and
+ * <code>%%</code> with <code>%</code>.  Other placeholders are not
+ * replaced.  When names share a prefix, the longest name matches.
+ *
+ * @private
+ * @param {string} template Template to format.
+ * @param {!Object<string, *>} values Value of each placeholder, by name.
+ * <code>undefined</code> and <code>null</code> are replaced with an empty
+ * string.
+ * @returns {string} template with placeholders replaced by values.
+ * @throws {TypeError} If template is not a string.
+ */
+export default function formatTemplate(template, values) {
+  if (typeof template !== 'string') {
+    throw new TypeError('template must be a string');
+  }
+
+  const replacements = {
+    n: '\n',
+    ...values,
+    '%': '%',
+  };
+  const names = Object.keys(replacements)
+    .toSorted((name1, name2) => name2.length - name1.length)
+    .map(escapeRegExp);
+  const placeholderRe = new RegExp(`%(${names.join('|')})`, 'g');
+  return template.replaceAll(placeholderRe, (placeholder, name) => {
+    const value = replacements[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
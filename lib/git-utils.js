@@ -42,6 +42,50 @@ export function getBranch(options) {
     });
 }
 
+/** Splits NUL-terminated output from git (e.g. with -z).
+ *
+ * @param {string} output Output from git.
+ * @returns {!Array<string>} NUL-terminated fields of output.
+ * @private
+ */
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/** Gets the paths of files changed by a commit, compared to its first parent
+ * (or all files, for a root commit).
+ *
+ * @param {string} commit Commit for which to get changed files.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<!Array<string>>} Paths of files changed by commit,
+ * relative to the repository root.
+ * @private
+ */
+export async function getChangedFiles(commit, options) {
+  try {
+    const output = await execFileOut(
+      'git',
+      [
+        'diff-tree',
+        '-r',
+        '-z',
+        '--name-only',
+        '--no-commit-id',
+        '--root',
+        '--diff-merges=first-parent',
+        commit,
+      ],
+      options,
+    );
+    return splitNul(output);
+  } catch (err) {
+    err.message =
+      `Unable to get files changed by '${commit}': ${err.message}`;
+    throw err;
+  }
+}
+
 /** Parse output of `git config --null`.
  *
  * @param {!Buffer} configData Output from `git config --null`.
@@ -111,6 +155,24 @@ export async function getConfig(scope, options) {
   return parseConfigOutput(configData);
 }
 
+/** Gets the full name of the ref (e.g. refs/heads/main) named by a revision.
+ *
+ * @param {string} rev Revision for which to get the full ref name.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<string|undefined>} Full name of the ref named by rev, or
+ * undefined if rev does not name a ref (e.g. is a commit hash).
+ * @private
+ */
+export async function getSymbolicFullName(rev, options) {
+  const output = await execFileOut(
+    'git',
+    ['rev-parse', '--symbolic-full-name', rev],
+    options,
+  );
+  return output.trim() || undefined;
+}
+
 /** Is git URL a local path?
  * From url_is_local_not_ssh in connect.c
  *
@@ -124,6 +186,33 @@ export function gitUrlIsLocalNotSsh(gitUrl) {
     || (isWindows && /^[A-Za-z]:/.test(gitUrl));
 }
 
+/** Lists the paths of files in a directory of a commit.
+ *
+ * @param {string} commit Commit in which to list files.
+ * @param {string} dirPath Path of directory, relative to the repository root.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<!Array<string>>} Paths of files in dirPath (not
+ * recursive), relative to the repository root, or an empty Array if dirPath
+ * does not exist in commit.
+ * @private
+ */
+export async function listTreeFiles(commit, dirPath, options) {
+  const output = await execFileOut(
+    'git',
+    [
+      'ls-tree',
+      '-z',
+      '--name-only',
+      commit,
+      '--',
+      `${dirPath}/`,
+    ],
+    options,
+  );
+  return splitNul(output);
+}
+
 /** Parses a git URL string into a URL object like {@link module:url.parse} with
  * support for git helpers, git's SCP-like URL syntax, and local file paths.
  *
@@ -160,6 +249,29 @@ export function parseGitUrl(gitUrl) {
   return gitUrlObj;
 }
 
+/** Reads the content of a file in a commit.
+ *
+ * @param {string} commit Commit from which to read the file.
+ * @param {string} filePath Path of file, relative to the repository root.
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link module:child_process.execFile}.
+ * @returns {!Promise<string>} Content of filePath in commit.
+ * @private
+ */
+export async function readCommitFile(commit, filePath, options) {
+  try {
+    return await execFileOut(
+      'git',
+      ['cat-file', 'blob', `${commit}:${filePath}`],
+      options,
+    );
+  } catch (err) {
+    err.message =
+      `Unable to read '${filePath}' in '${commit}': ${err.message}`;
+    throw err;
+  }
+}
+
 /** Resolve a named commit to its hash.
  *
  * @param {string} commitName Name of commit to resolve.
@@ -9,10 +9,6 @@ import { getBranch, getConfig, parseGitUrl } from './git-utils.js';
 
 const debug = debuglog('hub-ci-status');
 
-// Additional FQDN to treat as GitHub.  As in hub(1):
-// https://github.com/github/hub/blob/v2.14.2/github/hosts.go#L13
-const gitHubHostEnv = process.env.GITHUB_HOST;
-
 // Origin lookup order used by hub(1):
 // https://github.com/github/hub/blob/v2.14.2/github/remote.go#L13
 const originNamesInLookupOrder = [
@@ -22,14 +18,13 @@ const originNamesInLookupOrder = [
 ];
 
 class UnknownProjectError extends Error {
-  constructor() {
-    super('Unable to determine GitHub project name: '
-      + 'No GitHub remote URLs recognized.');
+  constructor(reason = 'No GitHub remote URLs recognized.') {
+    super(`Unable to determine GitHub project name: ${reason}`);
   }
 }
 UnknownProjectError.prototype.name = 'UnknownProjectError';
 
-function getRemoteUrls(config, branchRemote) {
+function getRemoteUrls(config, branchRemote, remoteName) {
   const remotes = Object.entries(config)
     .map(([key, value]) => {
       const match = /^remote\.(.*)\.((?:push)?url)$/.exec(key);
@@ -39,7 +34,8 @@ function getRemoteUrls(config, branchRemote) {
         url: value,
       };
     })
-    .filter(Boolean);
+    .filter((remote) => remote
+      && (remoteName === undefined || remote.name === remoteName));
 
   remotes.sort((remote1, remote2) => {
     const name1 = remote1.name;
@@ -79,14 +75,17 @@ function getRemoteUrls(config, branchRemote) {
   return remotes.map((remote) => remote.url);
 }
 
-function getGitHubUrls(config, branchRemote) {
-  const gitHubUrls = getRemoteUrls(config, branchRemote)
+function isGitHubDotCom(hostname) {
+  return hostname === 'github.com' || hostname.endsWith('.github.com');
+}
+
+function getGitHubUrls(config, branchRemote, remoteName, gitHubHost) {
+  const gitHubUrls = getRemoteUrls(config, branchRemote, remoteName)
     .map((remoteUrl) => {
       try {
         const parsed = parseGitUrl(remoteUrl);
-        if (parsed.hostname === 'github.com'
-          || parsed.hostname === gitHubHostEnv
-          || parsed.hostname.endsWith('.github.com')) {
+        if (isGitHubDotCom(parsed.hostname)
+          || parsed.hostname === gitHubHost) {
           return parsed;
         }
       } catch (err) {
@@ -108,17 +107,37 @@ async function tryGetBranch(options) {
   }
 }
 
+/** Gets the base URL of the GitHub REST API for a given host.
+ *
+ * @private
+ * @param {string} host Hostname of a GitHub Enterprise Server instance, or
+ * github.com.
+ * @returns {string} Base URL of the REST API for host.
+ */
+export function getApiBaseUrl(host) {
+  return isGitHubDotCom(host) ? 'https://api.github.com'
+    : `https://${host}/api/v3`;
+}
+
 /** Get the GitHub owner and repo name for the git repository of the working
  * directory.
  *
+ * Remotes on github.com are recognized, as are remotes on the host named by
+ * the GITHUB_HOST environment variable (as in hub(1)), which is treated as
+ * a GitHub Enterprise Server instance.
+ *
  * @private
  * @param {module:child_process.ExecFileOptions=} options Options to pass to
- * {@link module:child_process.execFile} for git.
+ * {@link module:child_process.execFile} for git.  GITHUB_HOST is read from
+ * options.env, if present, otherwise process.env.
+ * @param {string=} remoteName Name of the git remote to use.  If undefined,
+ * the remote for the current branch is preferred, followed by upstream,
+ * github, origin, then others in lexicographic order (as in hub(1)).
  * @returns {!Promise<!Array<string>>} Promise for the owner and repo name,
- * as Array elements, or a UnknownProjectError if they can not be determined.
+ * followed by the hostname if the remote is not on github.com, as Array
+ * elements, or a UnknownProjectError if they can not be determined.
  */
-// eslint-disable-next-line import/prefer-default-export
-export async function getProjectName(options) {
+export async function getProjectName(options, remoteName) {
   // Run getBranch() and getConfig() concurrently.
   const [branch, config] = await Promise.all([
     tryGetBranch(options),
@@ -130,7 +149,13 @@ export async function getProjectName(options) {
     debug(`No remote configured for current branch (${branch})`);
   }
 
-  for (const remoteUrl of getGitHubUrls(config, branchRemote)) {
+  // Additional FQDN to treat as GitHub.  As in hub(1):
+  // https://github.com/github/hub/blob/v2.14.2/github/hosts.go#L13
+  const { GITHUB_HOST: gitHubHost } = (options && options.env) || process.env;
+
+  const gitHubUrls =
+    getGitHubUrls(config, branchRemote, remoteName, gitHubHost);
+  for (const remoteUrl of gitHubUrls) {
     const pathParts = remoteUrl.pathname.split('/');
     if (pathParts.length !== 3
       || pathParts[0]
@@ -148,11 +173,40 @@ export async function getProjectName(options) {
 
       if (!repo) {
         debug('Skipping GitHub URL <%s>: Empty repo name.', remoteUrl);
-      } else {
+      } else if (isGitHubDotCom(remoteUrl.hostname)) {
         return [pathParts[1], repo];
+      } else {
+        return [pathParts[1], repo, remoteUrl.hostname];
       }
     }
   }
 
-  throw new UnknownProjectError();
+  throw new UnknownProjectError(remoteName === undefined ? undefined
+    : `No GitHub URLs recognized for remote '${remoteName}'.`);
+}
+
+/** Parses a GitHub project name of the form [HOST/]OWNER/REPO, as accepted
+ * by the --repo option of gh(1).
+ *
+ * @private
+ * @param {string} projectName Project name to parse.
+ * @returns {!Array<string>} Owner and repo name, followed by the hostname if
+ * present and not github.com, as Array elements.
+ * @throws {Error} If projectName is not of the form [HOST/]OWNER/REPO.
+ */
+export function parseProjectName(projectName) {
+  const parts = String(projectName).split('/');
+  if ((parts.length !== 2 && parts.length !== 3)
+    || parts.some((part) => !part)) {
+    throw new Error(
+      `Invalid project name '${projectName}': Must be [HOST/]OWNER/REPO.`,
+    );
+  }
+
+  if (parts.length === 2) {
+    return parts;
+  }
+
+  const [host, owner, repo] = parts;
+  return isGitHubDotCom(host) ? [owner, repo] : [owner, repo, host];
 }
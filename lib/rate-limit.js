@@ -0,0 +1,184 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Duration of the window for primary rate limits.
+// https://docs.github.com/rest/using-the-rest-api/rate-limits-for-the-rest-api#about-primary-rate-limits
+const rateLimitWindowMs = 60 * 60 * 1000;
+
+// Minimum time to wait after a rate limit error without Retry-After or
+// X-RateLimit-Remaining: 0 (e.g. for a secondary rate limit).
+// https://docs.github.com/rest/using-the-rest-api/best-practices-for-using-the-rest-api#handle-rate-limit-errors-appropriately
+const minRateLimitErrorWaitMs = 60 * 1000;
+
+/** Gets the response headers of an error from Octokit.
+ *
+ * @private
+ * @param {*} err Error from Octokit (including GraphqlResponseError).
+ * @returns {!object|undefined} Response headers, if any.
+ */
+function getErrorHeaders(err) {
+  // GraphqlResponseError has .headers, RequestError has .response
+  return (err && err.headers) || (err && err.response && err.response.headers);
+}
+
+/** Determines whether an error from Octokit has a message which describes a
+ * secondary rate limit.
+ *
+ * @private
+ * @param {*} err Error from Octokit.
+ * @returns {boolean} true if err is for a secondary rate limit.
+ */
+function isSecondaryRateLimitMessage(err) {
+  const data = err.response && err.response.data;
+  return [err.message, data && data.message]
+    .some((message) => /secondary rate limit/i.test(message));
+}
+
+/** Parses the value of a Retry-After header.
+ *
+ * @private
+ * @param {string} retryAfter Value of Retry-After header (delay-seconds or
+ * HTTP-date).
+ * @param {number} nowMs Current time, in milliseconds since the epoch.
+ * @returns {number|undefined} Number of milliseconds to wait, or undefined if
+ * retryAfter is not valid.
+ */
+function parseRetryAfter(retryAfter, nowMs) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : undefined;
+  }
+
+  const dateMs = Date.parse(retryAfter);
+  return Number.isNaN(dateMs) ? undefined : Math.max(dateMs - nowMs, 0);
+}
+
+/** Determines whether an error from Octokit is due to a (primary or
+ * secondary) rate limit.
+ *
+ * @private
+ * @param {*} err Error from Octokit (including GraphqlResponseError).
+ * @returns {boolean} true if err is a rate limit error, otherwise false.
+ */
+export function isRateLimitError(err) {
+  // The GraphQL API responds to queries over the primary rate limit with
+  // errors of type RATE_LIMITED.
+  // https://docs.github.com/graphql/overview/rate-limits-and-query-limits-for-the-graphql-api#exceeding-the-rate-limit
+  if (err
+    && Array.isArray(err.errors)
+    && err.errors.some((error) => error && error.type === 'RATE_LIMITED')) {
+    return true;
+  }
+
+  // https://docs.github.com/rest/using-the-rest-api/troubleshooting-the-rest-api#rate-limit-errors
+  if (!err || (err.status !== 403 && err.status !== 429)) {
+    return false;
+  }
+
+  if (err.status === 429) {
+    return true;
+  }
+
+  // Secondary rate limits may be reported without Retry-After and with
+  // X-RateLimit-Remaining greater than 0.
+  if (isSecondaryRateLimitMessage(err)) {
+    return true;
+  }
+
+  const headers = err.response && err.response.headers;
+  return Boolean(headers)
+    && (headers['retry-after'] !== undefined
+      || headers['x-ratelimit-remaining'] === '0');
+}
+
+/** Gets the minimum amount of time to wait after a rate limit error which is
+ * not determined by its headers.
+ *
+ * GitHub recommends waiting until X-RateLimit-Reset if X-RateLimit-Remaining
+ * is 0, or Retry-After if present (both handled by getRateLimitWaitMs), and
+ * otherwise waiting at least one minute.
+ *
+ * @private
+ * @param {*} err Error from Octokit.
+ * @returns {number} Minimum number of milliseconds to wait before retrying,
+ * or 0 if err is not a rate limit error or its headers determine the wait.
+ */
+export function getRateLimitErrorWaitMs(err) {
+  if (!isRateLimitError(err)) {
+    return 0;
+  }
+
+  const headers = getErrorHeaders(err);
+  if (headers
+    && (headers['retry-after'] !== undefined
+      || headers['x-ratelimit-remaining'] === '0')) {
+    return 0;
+  }
+
+  return minRateLimitErrorWaitMs;
+}
+
+/** Gets the minimum amount of time to wait before the next poll, based on
+ * the rate limit headers of responses from the previous poll.
+ *
+ * When the response includes Retry-After or X-Poll-Interval, the wait is at
+ * least that long.  When the response includes X-RateLimit-Remaining and
+ * X-RateLimit-Reset, and fewer requests remain than X-RateLimit-Limit allows
+ * (on average) for the time until the rate limit is reset, the wait is long
+ * enough that the remaining requests last until the rate limit is reset.
+ * So polls follow the normal schedule until requests have been made faster
+ * than the rate limit allows.  Times are relative to the Date header of the
+ * response, if present, to avoid clock skew.
+ *
+ * @private
+ * @param {!Array<!object>} headersList Headers of each response from the
+ * previous poll.
+ * @param {number} nowMs Current time, in milliseconds since the epoch.  Used
+ * for responses without a valid Date header.
+ * @returns {number} Minimum number of milliseconds to wait before the next
+ * poll, or 0 if the headers do not require waiting.
+ */
+export function getRateLimitWaitMs(headersList, nowMs) {
+  // https://docs.github.com/rest/using-the-rest-api/rate-limits-for-the-rest-api
+  const requestsPerPoll = headersList.length;
+  let waitMs = 0;
+  for (const headers of headersList) {
+    const dateMs = Date.parse(headers.date);
+    const responseMs = Number.isNaN(dateMs) ? nowMs : dateMs;
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const retryAfterMs = parseRetryAfter(retryAfter, responseMs);
+      if (retryAfterMs !== undefined) {
+        waitMs = Math.max(waitMs, retryAfterMs);
+      }
+    }
+
+    const pollInterval = Number(headers['x-poll-interval']);
+    if (pollInterval > 0) {
+      waitMs = Math.max(waitMs, pollInterval * 1000);
+    }
+
+    const limit = headers['x-ratelimit-limit'];
+    const remaining = headers['x-ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'];
+    if (remaining !== undefined && reset !== undefined) {
+      const resetMs = Number(reset) * 1000 - responseMs;
+      const remainingPolls = Math.floor(Number(remaining) / requestsPerPoll);
+      // Number of requests the limit allows until reset, if spread evenly
+      const allowedRequests = limit === undefined ? Infinity
+        : Number(limit) * (resetMs / rateLimitWindowMs);
+      if (resetMs > 0
+        && remainingPolls >= 0
+        && (remainingPolls === 0 || Number(remaining) < allowedRequests)) {
+        waitMs = Math.max(
+          waitMs,
+          remainingPolls === 0 ? resetMs : resetMs / remainingPolls,
+        );
+      }
+    }
+  }
+
+  return Math.ceil(waitMs);
+}
@@ -0,0 +1,197 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+/** A status check which is required to merge into a branch.
+ *
+ * @private
+ * @typedef {!object} RequiredCheck
+ * @property {string} context Context of the status or name of the check run.
+ * @property {number=} appId ID of the GitHub App which must provide the check
+ * run, if any.
+ */
+
+/** Gets the ID of the GitHub App required to provide a required check.
+ *
+ * @private
+ * @param {?number|undefined} appId app_id or integration_id of the required
+ * check from the GitHub API.
+ * @returns {number|undefined} appId, if it identifies a GitHub App, otherwise
+ * undefined (i.e. any source is accepted).
+ */
+function normalizeAppId(appId) {
+  // -1 is used to explicitly allow any app
+  return typeof appId === 'number' && appId > 0 ? appId : undefined;
+}
+
+/** Fetches the rules which apply to a branch from repository rulesets.
+ *
+ * @private
+ * @param {!module:"@octokit/core".Octokit} octokit Octokit instance to use
+ * for requests.
+ * @param {!{owner: string, repo: string, branch: string}} apiArgs Arguments
+ * to pass to the GitHub API.
+ * @param {!object=} requestOptions Additional options for each request.
+ * @returns {!Promise<!Array<!object>>} Promise for the rules, or an empty
+ * Array if rulesets are not supported.
+ */
+async function fetchBranchRules(octokit, apiArgs, requestOptions) {
+  try {
+    // https://docs.github.com/rest/repos/rules#get-rules-for-a-branch
+    const response = await octokit.repos.getBranchRules({
+      ...apiArgs,
+      ...requestOptions,
+      per_page: 100, // eslint-disable-line camelcase
+    });
+    return response.data;
+  } catch (err) {
+    // Rulesets are not supported by older GitHub Enterprise Server
+    if (err.status === 404) {
+      return [];
+    }
+
+    throw err;
+  }
+}
+
+/** Fetches the status checks required to merge into a branch by branch
+ * protection rules and repository rulesets.
+ *
+ * @private
+ * @param {!module:"@octokit/core".Octokit} octokit Octokit instance to use
+ * for requests.
+ * @param {!{owner: string, repo: string, branch: string}} apiArgs Arguments
+ * to pass to the GitHub API.
+ * @param {!object=} requestOptions Additional options for each request.
+ * @returns {!Promise<!Array<!RequiredCheck>>} Promise for the required
+ * checks.
+ */
+export async function fetchRequiredChecks(octokit, apiArgs, requestOptions) {
+  const [branchResponse, rules] = await Promise.all([
+    // Branch response includes required status checks and, unlike the branch
+    // protection endpoint, only requires read access.
+    // https://docs.github.com/rest/branches/branches#get-a-branch
+    octokit.repos.getBranch({ ...apiArgs, ...requestOptions }),
+    fetchBranchRules(octokit, apiArgs, requestOptions),
+  ]);
+
+  const requiredChecks = [];
+  const { protection } = branchResponse.data;
+  const requiredStatusChecks = protection && protection.enabled
+    && protection.required_status_checks;
+  if (requiredStatusChecks) {
+    // checks was added alongside the deprecated contexts
+    if (requiredStatusChecks.checks) {
+      for (const check of requiredStatusChecks.checks) {
+        requiredChecks.push({
+          context: check.context,
+          appId: normalizeAppId(check.app_id),
+        });
+      }
+    } else if (requiredStatusChecks.contexts) {
+      for (const context of requiredStatusChecks.contexts) {
+        requiredChecks.push({ context, appId: undefined });
+      }
+    }
+  }
+
+  for (const rule of rules) {
+    if (rule.type === 'required_status_checks') {
+      for (const check of rule.parameters.required_status_checks) {
+        requiredChecks.push({
+          context: check.context,
+          appId: normalizeAppId(check.integration_id),
+        });
+      }
+    }
+  }
+
+  return requiredChecks;
+}
+
+/** Determines whether a check run satisfies a required check.
+ *
+ * @private
+ * @param {!RequiredCheck} requiredCheck Required check.
+ * @param {!object} checkRun "check_run" object.
+ * @returns {boolean} true if the name and app of checkRun match
+ * requiredCheck.
+ */
+function isRequiredCheckRun(requiredCheck, checkRun) {
+  return requiredCheck.context === checkRun.name
+    && (requiredCheck.appId === undefined
+      || (checkRun.app && checkRun.app.id) === requiredCheck.appId);
+}
+
+/** Determines whether a status satisfies a required check.
+ *
+ * @private
+ * @param {!RequiredCheck} requiredCheck Required check.
+ * @param {!object} status "statuses" object.
+ * @returns {boolean} true if the context of status matches requiredCheck.
+ * The app which created a status is not known, so any app is accepted.
+ */
+function isRequiredStatus(requiredCheck, status) {
+  return requiredCheck.context === status.context;
+}
+
+/** Filters the combined status and check runs to only those which are
+ * required, and adds a pending status for each required check which has not
+ * been reported (as GitHub does when determining mergeability).
+ *
+ * @private
+ * @param {!Array<!object>} result Combined status and check runs list.
+ * @param {!Array<!RequiredCheck>} requiredChecks Required checks.
+ * @returns {!Array<!object>} Combined status and check runs list with only
+ * required statuses and check runs, plus pending statuses for missing
+ * required checks.
+ */
+export function filterRequiredChecks(
+  [combinedStatus, checksList],
+  requiredChecks,
+) {
+  const statuses = combinedStatus.statuses.filter(
+    (status) => requiredChecks.some(
+      (requiredCheck) => isRequiredStatus(requiredCheck, status),
+    ),
+  );
+  const checkRuns = checksList.check_runs.filter(
+    (checkRun) => requiredChecks.some(
+      (requiredCheck) => isRequiredCheckRun(requiredCheck, checkRun),
+    ),
+  );
+
+  const missingContexts = new Set();
+  for (const requiredCheck of requiredChecks) {
+    if (statuses.every((status) => !isRequiredStatus(requiredCheck, status))
+      && checkRuns.every(
+        (checkRun) => !isRequiredCheckRun(requiredCheck, checkRun),
+      )) {
+      missingContexts.add(requiredCheck.context);
+    }
+  }
+
+  for (const context of missingContexts) {
+    statuses.push({
+      context,
+      description: 'Expected — Waiting for status to be reported',
+      state: 'pending',
+    });
+  }
+
+  /* eslint-disable camelcase */
+  return [
+    {
+      ...combinedStatus,
+      statuses,
+      total_count: statuses.length,
+    },
+    {
+      ...checksList,
+      check_runs: checkRuns,
+      total_count: checkRuns.length,
+    },
+  ];
+  /* eslint-enable camelcase */
+}
@@ -13,11 +13,26 @@ function defaultShouldRetry(result) {
   return !result;
 }
 
+function shouldRetryErrorByDefault() {
+  // Do not retry if the operation threw or rejected
+  return false;
+}
+
 /** Options for {@link retryAsync}.
  *
  * @private
  * @template TReturn
  * @typedef {module:timers.SetTimeoutOptions} RetryAsyncOptions
+ * @property {(function(number, TReturn): number)=} adjustWaitMs Function
+ * which returns the number of milliseconds to wait before the next attempt,
+ * given the number of milliseconds from waitMs and the return value of the
+ * previous attempt (or undefined if it threw or rejected).  Can be used to
+ * wait longer than scheduled (e.g. when rate limited).
+ * @property {number=} maxErrorRetries Maximum number of consecutive times
+ * the operation is retried after it throws or rejects.  The count is reset
+ * whenever the operation returns or resolves, so that occasional errors
+ * during a long wait are retried.  Once exceeded, the error is thrown.
+ * Retries after errors also count toward maxTotalMs and waitMs.
  * @property {(function(): number)=} now Function to get the current time in
  * milliseconds since the epoch.
  * @property {number=} maxTotalMs Maximum amount of time, in milliseconds,
@@ -32,6 +47,9 @@ function defaultShouldRetry(result) {
  * @property {(function(TReturn): boolean)=} shouldRetry Predicate which
  * determines whether to retry the operation based on the return value of the
  * previous attempt.
+ * @property {(function(*): boolean)=} shouldRetryError Predicate which
+ * determines whether to retry the operation based on the exception or
+ * rejection reason of the previous attempt.  (default: never retry)
  * @property {(number|module:globals.Iterable<number>)=} waitMs Number of
  * milliseconds to wait between attempts.
  */
@@ -44,11 +62,13 @@ function defaultShouldRetry(result) {
  */
 // eslint-disable-next-line import/no-unused-modules
 export const DEFAULT_OPTIONS = Object.freeze({
+  maxErrorRetries: Infinity,
   maxTotalMs: Infinity,
   minWaitMs: 4000,
   now: Date.now,
   setTimeout: setTimeoutP,
   shouldRetry: defaultShouldRetry,
+  shouldRetryError: shouldRetryErrorByDefault,
   get waitMs() {
     return exponential(2, 4000, 60000, Infinity);
   },
@@ -67,11 +87,14 @@ export const DEFAULT_OPTIONS = Object.freeze({
 export default async function retryAsync(
   operation,
   {
+    adjustWaitMs,
+    maxErrorRetries = DEFAULT_OPTIONS.maxErrorRetries,
     maxTotalMs = DEFAULT_OPTIONS.maxTotalMs,
     minWaitMs = DEFAULT_OPTIONS.minWaitMs,
     now = DEFAULT_OPTIONS.now,
     setTimeout: retrySetTimeout = DEFAULT_OPTIONS.setTimeout,
     shouldRetry = DEFAULT_OPTIONS.shouldRetry,
+    shouldRetryError = DEFAULT_OPTIONS.shouldRetryError,
     waitMs = DEFAULT_OPTIONS.waitMs,
     ...setTimeoutOptions
   } = {},
@@ -90,28 +113,62 @@ export default async function retryAsync(
   }
 
   let waitResult;
+
+  /** Gets the number of milliseconds to wait before the next attempt.
+   *
+   * @private
+   * @param {TReturn=} result Return value of the previous attempt.
+   * @returns {number|undefined} Milliseconds to wait, or undefined if no
+   * further attempts should be made.
+   */
+  function getNextDelay(result) {
+    const remaining = deadline - now();
+    if (remaining < minWaitMs) {
+      return undefined;
+    }
+
+    waitResult = waitIterator.next();
+    if (waitResult.done) {
+      return undefined;
+    }
+
+    return Math.min(
+      adjustWaitMs ? adjustWaitMs(waitResult.value, result)
+        : waitResult.value,
+      remaining,
+    );
+  }
+
+  // Number of consecutive retries after errors
+  let errorRetries = 0;
   try {
     /* eslint-disable no-await-in-loop */
     for (;;) {
-      const result = await operation(...args);
-      if (!shouldRetry(result)) {
-        return result;
-      }
+      let delay;
+      try {
+        const result = await operation(...args);
+        errorRetries = 0;
+        if (!shouldRetry(result)) {
+          return result;
+        }
 
-      const remaining = deadline - now();
-      if (remaining < minWaitMs) {
-        return result;
-      }
+        delay = getNextDelay(result);
+        if (delay === undefined) {
+          return result;
+        }
+      } catch (err) {
+        if (errorRetries >= maxErrorRetries || !shouldRetryError(err)) {
+          throw err;
+        }
+
+        delay = getNextDelay();
+        if (delay === undefined) {
+          throw err;
+        }
 
-      waitResult = waitIterator.next();
-      if (waitResult.done) {
-        return result;
+        errorRetries += 1;
       }
 
-      const delay = Math.min(
-        waitResult.value,
-        remaining,
-      );
       await retrySetTimeout(delay, undefined, setTimeoutOptions);
     }
     /* eslint-enable no-await-in-loop */
@@ -0,0 +1,75 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+function* generateDecorrelatedJitter(
+  factor,
+  initial,
+  maxValue,
+  count,
+  random,
+) {
+  let value = Math.min(initial, maxValue);
+  for (let i = 0; i < count; i += 1) {
+    if (i > 0) {
+      const range = (value * factor) - initial;
+      value = Math.min(initial + (random() * range), maxValue);
+    }
+
+    yield value;
+  }
+}
+
+/** Generates values which increase randomly, where each value is chosen
+ * uniformly at random between initial and factor times the previous value
+ * (i.e. "Decorrelated Jitter", which uses a factor of 3), with optional
+ * count/limit.
+ *
+ * @private
+ * @param {number} factor Multiplier of the previous value which bounds each
+ * yielded value.
+ * @param {number} initial Initial (and minimum) value to yield.
+ * @param {number=} maxValue Maximum value to yield.  (Default: Infinity)
+ * @param {number=} count Number of values to yield.  (Default: Infinity)
+ * @param {(function(): number)=} random Function which returns a random
+ * number in [0, 1).  (Default: Math.random)
+ * @yields {number} Randomly increasing values, starting from initial.
+ * @throws {TypeError} If factor, initial, maxValue, or count is not a number,
+ * or random is not a function.
+ * @throws {RangeError} If maxValue or count is NaN, count is negative, or
+ * count is not an integer (or Infinity).
+ */
+export default function decorrelatedJitter(
+  factor,
+  initial,
+  maxValue = Infinity,
+  count = Infinity,
+  random = Math.random,
+) {
+  if (typeof factor !== 'number') {
+    throw new TypeError('factor must be a number');
+  }
+  if (typeof initial !== 'number') {
+    throw new TypeError('initial must be a number');
+  }
+  if (typeof maxValue !== 'number') {
+    throw new TypeError('maxValue must be a number');
+  }
+  if (Number.isNaN(maxValue)) {
+    throw new RangeError('maxValue must not be NaN');
+  }
+  if (typeof count !== 'number') {
+    throw new TypeError('count must be a number');
+  }
+  if (count < 0 || count !== Math.floor(count)) {
+    throw new RangeError('count must be a non-negative integer, or Infinity');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+
+  return generateDecorrelatedJitter(factor, initial, maxValue, count, random);
+}
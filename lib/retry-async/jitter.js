@@ -0,0 +1,37 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+function* generateJitter(values, random) {
+  for (const value of values) {
+    // Wait at least half of value, so that waits are never near 0
+    yield (value / 2) * (1 + random());
+  }
+}
+
+/** Generates values chosen uniformly at random between half and all of each
+ * value of a given Iterable (i.e. "Equal Jitter"), so that clients which
+ * start retrying at the same time do not retry in lockstep.
+ *
+ * @private
+ * @param {!module:globals.Iterable<number>} values Maximum value for each
+ * value to yield (e.g. from exponential).
+ * @param {(function(): number)=} random Function which returns a random
+ * number in [0, 1).  (Default: Math.random)
+ * @yields {number} Random number in [value / 2, value) for each value of
+ * values.
+ * @throws {TypeError} If values is not iterable or random is not a function.
+ */
+export default function jitter(values, random = Math.random) {
+  if (!values || typeof values[Symbol.iterator] !== 'function') {
+    throw new TypeError('values must be Iterable');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+
+  return generateJitter(values, random);
+}
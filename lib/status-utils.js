@@ -0,0 +1,180 @@
+/**
+ * @copyright Copyright 2016-2021, 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Use same "severity" as hub(1) for determining state
+// https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L60-L69
+// with check_run conclusions added since hub(1) was written:
+// https://docs.github.com/rest/checks/runs#get-a-check-run
+const stateBySeverity = [
+  'skipped',
+  'neutral',
+  'success',
+  'pending',
+  'stale',
+  'cancelled',
+  'timed_out',
+  'action_required',
+  'startup_failure',
+  'failure',
+  'error',
+];
+
+/** Gets the state of a "check_run" object from the Checks API, using the
+ * same states as "statuses" objects from the CI Status API.
+ *
+ * All check_run.status values other than "completed" (i.e. "queued",
+ * "in_progress", "waiting", "requested", and "pending") are not finished and
+ * are treated as "pending".  For completed check runs, the state is the
+ * conclusion.
+ *
+ * @private
+ * @param {!object} checkRun "check_run" object from Checks API response.
+ * @returns {string} State of the check run.
+ */
+export function getCheckRunState(checkRun) {
+  // Based on mapping done by hub(1)
+  // https://github.com/github/hub/blob/v2.14.2/github/client.go#L543-L551
+  return checkRun.status === 'completed' ? checkRun.conclusion : 'pending';
+}
+
+/** Determines whether a "check_run" object from the Checks API is for a
+ * job in a given GitHub Actions workflow run.
+ *
+ * @private
+ * @param {!object} checkRun "check_run" object from Checks API response.
+ * @param {!{
+ *   runId: string,
+ *   job: (string|undefined),
+ *   jobId: (number|string|undefined)
+ * }} actionsRun ID of the workflow run and, optionally, either the ID of the
+ * job from the GitHub API (jobId), or the ID of the job in the workflow (i.e.
+ * key in jobs) within it, which is matched against the check run name.  If
+ * both are undefined, check runs for every job in the run match.
+ * @returns {boolean} true if checkRun is for a matching job, otherwise false.
+ */
+export function isActionsRunCheckRun(checkRun, { job, jobId, runId }) {
+  // details_url of check runs for GitHub Actions jobs is of the form
+  // https://github.com/OWNER/REPO/actions/runs/RUN_ID/job/JOB_ID
+  const match =
+    /\/actions\/runs\/(\d+)\/job\/(\d+)/.exec(checkRun.details_url);
+  if (!match || match[1] !== String(runId)) {
+    return false;
+  }
+
+  if (jobId !== undefined) {
+    return match[2] === String(jobId);
+  }
+
+  // Check run name is the job name, which defaults to the job ID, followed
+  // by matrix values in parentheses for matrix jobs.
+  return job === undefined
+    || checkRun.name === job
+    || checkRun.name.startsWith(`${job} (`);
+}
+
+/** Gets the duration of a status, if known.
+ *
+ * @private
+ * @param {!object} status "statuses" object.
+ * @returns {number|undefined} Number of milliseconds between started_at and
+ * completed_at, if both are present and valid.
+ */
+export function getDurationMs(status) {
+  if (!status.started_at || !status.completed_at) {
+    return undefined;
+  }
+
+  const durationMs =
+    Date.parse(status.completed_at) - Date.parse(status.started_at);
+  return durationMs >= 0 ? durationMs : undefined;
+}
+
+/** Gets the overall state of a set of statuses.
+ *
+ * @private
+ * @param {!Array<!object>} statuses "statuses" objects.
+ * @returns {string} State of the most severe status, or empty string if
+ * there are no statuses with a recognized state.
+ */
+export function getState(statuses) {
+  const bestSeverity = statuses.reduce((maxSeverity, status) => {
+    const severity = stateBySeverity.indexOf(status.state);
+    return Math.max(severity, maxSeverity);
+  }, -1);
+  return stateBySeverity[bestSeverity] || '';
+}
+
+/** Gets a symbol which represents a given state.
+ *
+ * @private
+ * @param {string} state State for which to get the symbol.
+ * @param {boolean=} useColor Should ANSI escape codes for color be used?
+ * @returns {string} Symbol representing state, or empty string if state is
+ * not recognized.
+ */
+export function getStateMarker(state, useColor) {
+  function colorize(string, code) {
+    return useColor ? `\u001B[${code}m${string}\u001B[39m` : string;
+  }
+
+  // Use same status markers as `hub ci-status`
+  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L158-L171
+  switch (state) {
+    case 'success':
+      return colorize('✔︎', 32);
+
+    case 'action_required':
+    case 'cancelled':
+    case 'error':
+    case 'failure':
+    case 'stale':
+    case 'startup_failure':
+    case 'timed_out':
+      return colorize('✖︎', 31);
+
+    case 'neutral':
+    case 'skipped':
+      return colorize('◦', 30);
+
+    case 'pending':
+      return colorize('●', 33);
+
+    default:
+      return '';
+  }
+}
+
+/** Gets the exit code which represents a given state.
+ *
+ * @private
+ * @param {string} state State for which to get the exit code.
+ * @returns {number} 0 for success, 1 for failure, 2 for pending, 3 for an
+ * unrecognized state.
+ */
+export function stateToExitCode(state) {
+  // Use same exit codes as `hub ci-status`
+  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L115-L125
+  switch (state) {
+    case 'neutral':
+    case 'skipped':
+    case 'success':
+      return 0;
+
+    case 'action_required':
+    case 'cancelled':
+    case 'error':
+    case 'failure':
+    case 'stale':
+    case 'startup_failure':
+    case 'timed_out':
+      return 1;
+
+    case 'pending':
+      return 2;
+
+    default:
+      return 3;
+  }
+}
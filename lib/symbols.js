@@ -30,12 +30,24 @@ export const OctokitMockSymbol = Symbol('Octokit');
  */
 export const fetchCiStatusMockSymbol = Symbol('fetchCiStatus');
 
+/** Symbol of mock function used in place of fetchRunnerJob for testing.
+ *
+ * @private
+ */
+export const fetchRunnerJobMockSymbol = Symbol('fetchRunnerJob');
+
 /** Symbol of mock function used in place of getProjectName for testing.
  *
  * @private
  */
 export const getProjectNameMockSymbol = Symbol('getProjectName');
 
+/** Symbol of mock function used in place of getPushCheckRunNames for testing.
+ *
+ * @private
+ */
+export const getPushCheckRunNamesMockSymbol = Symbol('getPushCheckRunNames');
+
 /** Symbol of mock function used in place of resolveCommit for testing.
  *
  * @private
@@ -0,0 +1,381 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import { parse as parseYaml } from 'yaml';
+
+import escapeRegExp from './escape-reg-exp.js';
+import {
+  getChangedFiles,
+  getSymbolicFullName,
+  listTreeFiles,
+  readCommitFile,
+} from './git-utils.js';
+
+// Path of GitHub Actions workflow files, relative to the repository root.
+const workflowsPath = '.github/workflows';
+
+function hasExpression(string) {
+  return string.includes('${{');
+}
+
+function isScalar(value) {
+  return typeof value === 'string'
+    || typeof value === 'number'
+    || typeof value === 'boolean';
+}
+
+/** Converts a filter pattern for branches, tags, or paths in a workflow
+ * trigger to a regular expression.
+ *
+ * The wildcard * matches any characters except /, ** matches any
+ * characters, ? and + match zero or one and one or more of the preceding
+ * character, [] matches one character listed or in a range, and \ escapes
+ * the following character.
+ *
+ * @private
+ * @param {string} pattern Filter pattern.
+ * @returns {!RegExp} Regular expression which matches the entire string
+ * matched by pattern.
+ */
+export function filterPatternToRegExp(pattern) {
+  // https://docs.github.com/actions/reference/workflows-and-actions/workflow-syntax#filter-pattern-cheat-sheet
+  let source = '';
+  // Can the next ? or + quantify the preceding pattern?
+  let canQuantify = false;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        source += '.*';
+        i += 1;
+      } else {
+        source += '[^/]*';
+      }
+      canQuantify = false;
+    } else if (canQuantify && (ch === '?' || ch === '+')) {
+      source += ch;
+      canQuantify = false;
+    } else if (ch === '[' && pattern.includes(']', i + 2)) {
+      const end = pattern.indexOf(']', i + 2);
+      source += `[${pattern.slice(i + 1, end).replaceAll('\\', '\\\\')}]`;
+      i = end;
+      canQuantify = true;
+    } else {
+      if (ch === '\\' && i + 1 < pattern.length) {
+        i += 1;
+      }
+      source += escapeRegExp(pattern[i]);
+      canQuantify = true;
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'su');
+}
+
+/** Determines whether a value matches a list of filter patterns.
+ *
+ * @private
+ * @param {string} value Value to match (e.g. branch name or path).
+ * @param {!Array<string>} patterns Filter patterns, where patterns which
+ * start with ! exclude values matched by previous patterns.
+ * @returns {boolean} true if the last pattern which matches value is not
+ * negated.
+ */
+function matchesFilters(value, patterns) {
+  let isMatch = false;
+  for (const pattern of patterns) {
+    const isNegated = pattern.startsWith('!');
+    const regexp =
+      filterPatternToRegExp(isNegated ? pattern.slice(1) : pattern);
+    if (regexp.test(value)) {
+      isMatch = !isNegated;
+    }
+  }
+
+  return isMatch;
+}
+
+/** Information about the event for which workflows are triggered.
+ *
+ * @private
+ * @typedef {!object} WorkflowEvent
+ * @property {string} name Name of the event (e.g. push).
+ * @property {string=} branch Name of the branch, for branch events.
+ * @property {string=} tag Name of the tag, for tag events.
+ * @property {!Array<string>=} changedFiles Paths of files changed by the
+ * event.  If undefined, path filters are not applied.
+ */
+
+/** Determines whether a workflow is triggered by an event.
+ *
+ * @private
+ * @param {*} on Value of the on property of the workflow.
+ * @param {!WorkflowEvent} event Event.
+ * @returns {boolean} true if the workflow is triggered by event (or it can
+ * not be determined that it is not), otherwise false.
+ */
+export function isWorkflowTriggered(on, event) {
+  // https://docs.github.com/actions/reference/workflows-and-actions/workflow-syntax#on
+  let config;
+  if (typeof on === 'string') {
+    config = on === event.name ? {} : undefined;
+  } else if (Array.isArray(on)) {
+    config = on.includes(event.name) ? {} : undefined;
+  } else if (on && typeof on === 'object' && Object.hasOwn(on, event.name)) {
+    config = on[event.name] || {};
+  }
+
+  if (!config) {
+    return false;
+  }
+
+  const {
+    branches,
+    'branches-ignore': branchesIgnore,
+    paths,
+    'paths-ignore': pathsIgnore,
+    tags,
+    'tags-ignore': tagsIgnore,
+  } = config;
+  // Events without a tag are treated as a push to a branch, which may be
+  // unknown (e.g. for a commit hash), in which case filters can't be applied.
+  if (event.tag === undefined) {
+    if (branches) {
+      if (event.branch !== undefined
+        && !matchesFilters(event.branch, branches)) {
+        return false;
+      }
+    } else if (branchesIgnore) {
+      if (event.branch !== undefined
+        && matchesFilters(event.branch, branchesIgnore)) {
+        return false;
+      }
+    } else if (tags || tagsIgnore) {
+      // Only tag filters are defined, so workflow only runs for tags
+      return false;
+    }
+  }
+
+  if (event.tag !== undefined) {
+    if (tags) {
+      if (!matchesFilters(event.tag, tags)) {
+        return false;
+      }
+    } else if (tagsIgnore) {
+      if (matchesFilters(event.tag, tagsIgnore)) {
+        return false;
+      }
+    } else if (branches || branchesIgnore) {
+      // Only branch filters are defined, so workflow only runs for branches
+      return false;
+    }
+
+    // Path filters are not evaluated for tags
+    return true;
+  }
+
+  if (event.changedFiles) {
+    if (paths) {
+      if (event.changedFiles.every((file) => !matchesFilters(file, paths))) {
+        return false;
+      }
+    } else if (pathsIgnore && event.changedFiles.every(
+      (file) => matchesFilters(file, pathsIgnore),
+    )) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/** Gets the combinations of values of a job matrix.
+ *
+ * @private
+ * @param {*} matrix Value of strategy.matrix of a job.
+ * @returns {Array<!Object<string,*>>|undefined} Combinations of matrix
+ * values, or undefined if they can not be determined (e.g. due to
+ * expressions).
+ */
+function expandMatrix(matrix) {
+  // https://docs.github.com/actions/how-tos/write-workflows/choose-what-workflows-do/run-job-variations
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    return undefined;
+  }
+
+  const { include = [], exclude = [], ...vectors } = matrix;
+  if (!Array.isArray(include) || !Array.isArray(exclude)) {
+    return undefined;
+  }
+
+  const vectorEntries = Object.entries(vectors);
+  let combinations = vectorEntries.length === 0 ? [] : [{}];
+  for (const [key, values] of vectorEntries) {
+    if (!Array.isArray(values) || !values.every(isScalar)) {
+      return undefined;
+    }
+
+    combinations = combinations.flatMap(
+      (combination) => values.map(
+        (value) => ({ ...combination, [key]: value }),
+      ),
+    );
+  }
+
+  combinations = combinations.filter(
+    (combination) => exclude.every(
+      (excluded) => Object.entries(excluded)
+        .some(([key, value]) => combination[key] !== value),
+    ),
+  );
+
+  // Included values are added to each original combination where they do not
+  // overwrite an original matrix value, or as a new combination.
+  const includedCombinations = [];
+  for (const included of include) {
+    if (!included
+      || typeof included !== 'object'
+      || !Object.values(included).every(isScalar)) {
+      return undefined;
+    }
+
+    let isAdded = false;
+    combinations = combinations.map((combination) => {
+      if (Object.entries(included).every(
+        ([key, value]) => !Object.hasOwn(vectors, key)
+          || combination[key] === value,
+      )) {
+        isAdded = true;
+        return { ...combination, ...included };
+      }
+
+      return combination;
+    });
+    if (!isAdded) {
+      includedCombinations.push({ ...included });
+    }
+  }
+
+  return [...combinations, ...includedCombinations];
+}
+
+/** Gets the names of the check runs for a workflow job.
+ *
+ * @private
+ * @param {string} jobId ID of the job (i.e. key in jobs).
+ * @param {*} job Job definition.
+ * @returns {Array<string>|undefined} Names of check runs for the job, or
+ * undefined if they can not be determined (e.g. due to expressions or a
+ * reusable workflow).
+ */
+export function getJobCheckRunNames(jobId, job) {
+  // Check runs for reusable workflows are named by the called workflow
+  if (!job || typeof job !== 'object' || job.uses !== undefined) {
+    return undefined;
+  }
+
+  const name = job.name === undefined ? jobId : String(job.name);
+  const matrix = job.strategy && job.strategy.matrix;
+  if (!matrix) {
+    return hasExpression(name) ? undefined : [name];
+  }
+
+  const combinations = expandMatrix(matrix);
+  if (!combinations) {
+    return undefined;
+  }
+
+  // Matrix values are appended to the name, unless it uses them
+  const hasMatrixExpression = /\$\{\{\s*matrix\./u.test(name);
+  const names = combinations.map((combination) => (hasMatrixExpression
+    ? name.replaceAll(
+      /\$\{\{\s*matrix\.([\w-]+)\s*\}\}/gu,
+      (match, key) => combination[key] ?? '',
+    )
+    : `${name} (${Object.values(combination).join(', ')})`));
+  return names.some(hasExpression) ? undefined : names;
+}
+
+/** Gets the names of the check runs expected for jobs in the workflows of a
+ * repository which are triggered by an event.
+ *
+ * Jobs for which names can not be determined, such as jobs with expressions
+ * in their name or matrix, and jobs which call reusable workflows, are
+ * ignored.  Workflow files which can not be parsed are also ignored, since
+ * they do not create check runs.
+ *
+ * @private
+ * @param {!Array<string>} workflowTexts Content of each workflow file.
+ * @param {!WorkflowEvent} event Event.
+ * @returns {!Array<string>} Names of check runs for triggered jobs.
+ */
+export function getWorkflowCheckRunNames(workflowTexts, event) {
+  const names = [];
+  for (const workflowText of workflowTexts) {
+    let workflow;
+    try {
+      workflow = parseYaml(workflowText);
+    } catch {
+      // Invalid workflows do not create check runs
+    }
+
+    if (workflow
+      && typeof workflow.jobs === 'object'
+      && isWorkflowTriggered(workflow.on, event)) {
+      const jobs = Object.entries(workflow.jobs || {});
+      for (const [jobId, job] of jobs) {
+        const jobNames = getJobCheckRunNames(jobId, job);
+        if (jobNames) {
+          names.push(...jobNames);
+        }
+      }
+    }
+  }
+
+  return [...new Set(names)];
+}
+
+/** Gets the names of the check runs expected for jobs in the GitHub Actions
+ * workflows of a commit when it is pushed.
+ *
+ * Workflows are read from .github/workflows in the commit using git.
+ * Branch and tag filters are applied if rev names a branch or tag.  Path
+ * filters are applied to the files changed by the commit (compared to its
+ * first parent), which may differ from the files changed by a push of
+ * multiple commits.
+ *
+ * @private
+ * @param {string} commit Hash of commit.
+ * @param {string} rev Revision which was resolved to commit.  Used to
+ * determine the branch or tag, if any.
+ * @param {module:child_process.ExecFileOptions=} gitOptions Options to pass
+ * to {@link module:child_process.execFile} when invoking git.
+ * @returns {!Promise<!Array<string>>} Names of check runs for jobs triggered
+ * by a push of commit.
+ */
+export default async function getPushCheckRunNames(commit, rev, gitOptions) {
+  const treeFiles = await listTreeFiles(commit, workflowsPath, gitOptions);
+  const workflowFiles = treeFiles.filter((file) => /\.ya?ml$/.test(file));
+  if (workflowFiles.length === 0) {
+    return [];
+  }
+
+  const [fullName, changedFiles, workflowTexts] = await Promise.all([
+    getSymbolicFullName(rev, gitOptions),
+    getChangedFiles(commit, gitOptions),
+    Promise.all(workflowFiles.map(
+      (file) => readCommitFile(commit, file, gitOptions),
+    )),
+  ]);
+  const branchMatch = fullName && /^refs\/(heads|tags)\/(.+)$/.exec(fullName);
+  return getWorkflowCheckRunNames(workflowTexts, {
+    name: 'push',
+    branch: branchMatch && branchMatch[1] === 'heads' ? branchMatch[2]
+      : undefined,
+    tag: branchMatch && branchMatch[1] === 'tags' ? branchMatch[2]
+      : undefined,
+    changedFiles,
+  });
+}
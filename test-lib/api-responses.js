@@ -37,12 +37,24 @@ const octokitResult = {
   }
 };
 
+/** Values of check_runs.status other than "completed".
+ * https://docs.github.com/rest/checks/runs#get-a-check-run
+ */
+const checkRunStatuses = [
+  "queued",
+  "in_progress",
+  "waiting",
+  "requested",
+  "pending"
+];
+
 /** Creates an Octokit result object for "List check runs for a Git reference".
  *
  * @param {!Array<string>} runConclusions Value of each check_runs.conclusion.
- * ("success", "cancelled", "timed_out", "action_required", "failure", "error")
- * "queued" and "in_progress" are treated check_runs.status value with
- * check_runs.conclusion "neutral".
+ * ("action_required", "cancelled", "failure", "neutral", "success",
+ * "skipped", "stale", "timed_out", "startup_failure")
+ * "queued", "in_progress", "waiting", "requested", and "pending" are treated
+ * as check_runs.status value with check_runs.conclusion null.
  * @returns {!object} Mock API response with given conclusion values.
  */
 export function makeCheckRuns(...runConclusions) {
@@ -143,12 +155,11 @@ export function makeCheckRuns(...runConclusions) {
     "data": {
       "total_count": runConclusions.length,
       "check_runs": runConclusions.map((conclusionOrStatus) => {
-        const isStatus = conclusionOrStatus === "in_progress"
-          || conclusionOrStatus === "queued";
+        const isStatus = checkRunStatuses.includes(conclusionOrStatus);
         return {
           ...checkRun,
           "status": isStatus ? conclusionOrStatus : "completed",
-          "conclusion": isStatus ? "neutral" : conclusionOrStatus
+          "conclusion": isStatus ? null : conclusionOrStatus // eslint-disable-line unicorn/no-null
         };
       })
     }
@@ -140,6 +140,248 @@ describe('hub-ci-status command', () => {
     assert.strictEqual(gcsOptions.octokitOptions.auth, testToken);
   });
 
+  it('disables graphql by default when $GITHUB_TOKEN is set', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_TOKEN: '123abc',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(RUNTIME_ARGS, options);
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      undefined,
+      match({ graphql: false }),
+    );
+  });
+
+  it('enables graphql with --graphql when $GITHUB_TOKEN is set', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_TOKEN: '123abc',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd([...RUNTIME_ARGS, '--graphql'], options);
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      undefined,
+      match({ graphql: true }),
+    );
+  });
+
+  it('passes excludeActionsRun for current GitHub Actions job', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_JOB: 'test',
+        GITHUB_REPOSITORY: 'owner/repo',
+        GITHUB_RUN_ATTEMPT: '2',
+        GITHUB_RUN_ID: '123',
+        RUNNER_NAME: 'GitHub Actions 3',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd([...RUNTIME_ARGS, '--wait-all'], options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.deepStrictEqual(
+      gcsOptions.excludeActionsRun,
+      {
+        runId: '123',
+        job: 'test',
+        repository: 'owner/repo',
+        runAttempt: '2',
+        runnerName: 'GitHub Actions 3',
+      },
+    );
+  });
+
+  it('excludes whole workflow run with --exclude-workflow-run', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_JOB: 'test',
+        GITHUB_RUN_ID: '123',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [...RUNTIME_ARGS, '--exclude-workflow-run', '--wait-all'],
+      options,
+    );
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.deepStrictEqual(gcsOptions.excludeActionsRun, { runId: '123' });
+  });
+
+  it('does not pass excludeActionsRun outside GitHub Actions', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_JOB: 'test',
+        GITHUB_RUN_ID: '123',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [...RUNTIME_ARGS, '--exclude-workflow-run', '--wait-all'],
+      options,
+    );
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.excludeActionsRun, undefined);
+  });
+
+  it('passes patterns from --context and --exclude-context', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [
+        ...RUNTIME_ARGS,
+        '--context=ci/*',
+        '--context=/^build$/i',
+        '--exclude-context=*coverage*',
+      ],
+      options,
+    );
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.deepStrictEqual(
+      gcsOptions.contexts.map((pattern) => pattern.test('ci/test')),
+      [true, false],
+    );
+    assert.deepStrictEqual(
+      gcsOptions.contexts.map((pattern) => pattern.test('BUILD')),
+      [false, true],
+    );
+    assert.strictEqual(gcsOptions.excludeContexts.length, 1);
+    assert.ok(gcsOptions.excludeContexts[0].test('codecov/coverage'));
+  });
+
+  it('passes required: true for --required', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd([...RUNTIME_ARGS, '--required'], options);
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      undefined,
+      match({ required: true }),
+    );
+  });
+
+  it('passes ref after --required as ref', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [...RUNTIME_ARGS, '--required', 'feature-x'],
+      options,
+    );
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      'feature-x',
+      match({ required: true }),
+    );
+  });
+
+  it('passes branch name for --required-branch', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [...RUNTIME_ARGS, '--required-branch', 'main', 'feature-x'],
+      options,
+    );
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      'feature-x',
+      match({ required: 'main' }),
+    );
+  });
+
+  it('passes --expect and --expect-count', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(
+      [...RUNTIME_ARGS, '--expect=build', '--expect=test', '--expect-count=3'],
+      options,
+    );
+    sinon.assert.calledOnceWithExactly(
+      hubCiStatus,
+      undefined,
+      match({
+        expectContexts: ['build', 'test'],
+        expectCount: 3,
+      }),
+    );
+  });
+
+  it('passes $GITHUB_STEP_SUMMARY with --step-summary', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const testPath = '/path/to/summary.md';
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_STEP_SUMMARY: testPath,
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd([...RUNTIME_ARGS, '--step-summary'], options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.summaryFile, testPath);
+  });
+
+  it('ignores $GITHUB_STEP_SUMMARY without --step-summary', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_STEP_SUMMARY: '/path/to/summary.md',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmd(RUNTIME_ARGS, options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.summaryFile, undefined);
+  });
+
+  it('ignores --step-summary without $GITHUB_STEP_SUMMARY', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+    };
+    await hubCiStatusCmd([...RUNTIME_ARGS, '--step-summary'], options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.summaryFile, undefined);
+  });
+
   for (const code of [0, 1]) {
     it(`exits with code ${code} from hubCiStatus`, async () => {
       const hubCiStatus = sinon.stub().resolves(code);
@@ -201,6 +443,72 @@ describe('hub-ci-status command', () => {
   // FIXME: I'd prefer --color behave like getopt_long(3) optional_argument,
   // but can't find a way to do it with yargs.  Consumes next arg for now.
   expectArgsAs(['--color', 'never'], undefined, match({ useColor: false }));
+  expectArgsAs([], undefined, match({ apiUrl: undefined }));
+  expectArgsAs(
+    ['--api-url', 'https://ghe.example.com/api/v3'],
+    undefined,
+    match({ apiUrl: 'https://ghe.example.com/api/v3' }),
+  );
+  expectArgsAs(
+    ['--api-url=http://localhost:8080/'],
+    undefined,
+    match({ apiUrl: 'http://localhost:8080' }),
+  );
+  expectArgsAs([], undefined, match({ project: undefined, remote: undefined }));
+  expectArgsAs(['--remote', 'origin'], undefined, match({ remote: 'origin' }));
+  expectArgsAs(['--repo=owner/repo'], undefined, match({
+    project: 'owner/repo',
+  }));
+  expectArgsAs(['--repo', 'ghe.example.com/owner/repo'], undefined, match({
+    project: 'ghe.example.com/owner/repo',
+  }));
+  expectArgsAs([], undefined, match({ useGit: true }));
+  expectArgsAs(['--no-git', '--repo=owner/repo', 'main'], 'main', match({
+    project: 'owner/repo',
+    useGit: false,
+  }));
+  expectArgsAs([], undefined, match({ expectWorkflows: false }));
+  expectArgsAs(['--expect-workflows'], undefined, match({
+    expectWorkflows: true,
+  }));
+  // GraphQL API requires authentication
+  expectArgsAs(['--graphql'], undefined, match({ graphql: false }));
+  expectArgsAs([], undefined, match({ pullNumber: undefined }));
+  expectArgsAs(['--pr', '1234'], undefined, match({ pullNumber: 1234 }));
+  expectArgsAs(['--pr=1'], undefined, match({ pullNumber: 1 }));
+  expectArgsAs(['#1234'], undefined, match({ pullNumber: 1234 }));
+  expectArgsAs(['ref1', 'ref2'], ['ref1', 'ref2'], match({
+    refsFromStdin: false,
+  }));
+  expectArgsAs(['#1', 'ref2'], ['#1', 'ref2'], match({
+    pullNumber: undefined,
+  }));
+  expectArgsAs(['--stdin'], undefined, match({ refsFromStdin: true }));
+  expectArgsAs([], undefined, match({ output: undefined }));
+  expectArgsAs(['--json'], undefined, match({ output: 'json' }));
+  expectArgsAs(['--format', '%state'], undefined, match({
+    format: '%state',
+    formatFooter: undefined,
+    formatHeader: undefined,
+  }));
+  expectArgsAs(
+    ['--format-header=%sha', '--format-footer=%state'],
+    undefined,
+    match({
+      format: undefined,
+      formatFooter: '%state',
+      formatHeader: '%sha',
+    }),
+  );
+  expectArgsAs(['--ndjson'], undefined, match({ output: 'ndjson' }));
+  expectArgsAs(['--tap'], undefined, match({ output: 'tap' }));
+  expectArgsAs(['--markdown'], undefined, match({ output: 'markdown' }));
+  expectArgsAs([], undefined, match({ junit: undefined }));
+  expectArgsAs(['--junit', 'out.xml'], undefined, match({ junit: 'out.xml' }));
+  expectArgsAs(['--ndjson', '--wait'], undefined, match({
+    output: 'ndjson',
+    wait: { maxTotalMs: Infinity },
+  }));
   expectArgsAs(['--quiet'], undefined, match({ verbosity: -1 }));
   expectArgsAs(['--quiet', 'ref'], 'ref', match({ verbosity: -1 }));
   expectArgsAs(['-q'], undefined, match({ verbosity: -1 }));
@@ -272,6 +580,117 @@ describe('hub-ci-status command', () => {
     waitAll: true,
   }));
 
+  expectArgsAs(['--wait'], undefined, match({
+    wait: { waitMs: undefined },
+  }));
+
+  for (const [backoff, minFirstWaitMs, maxFirstWaitMs] of [
+    ['exponential', 4000, 4000],
+    ['jitter', 2000, 4000],
+    ['decorrelated-jitter', 4000, 4000],
+  ]) {
+    it(`passes waitMs Iterable for --backoff ${backoff}`, async () => {
+      const hubCiStatus = sinon.stub().resolves(0);
+      const options = {
+        ...getTestOptions(),
+        hubCiStatus,
+      };
+      const args = [...RUNTIME_ARGS, '--wait', '--backoff', backoff];
+      const exitCode = await hubCiStatusCmd(args, options);
+      assert.strictEqual(options.stderr.read(), null);
+      assert.strictEqual(exitCode, 0);
+      const { waitMs } = hubCiStatus.getCall(0).args[1].wait;
+      const iter1 = waitMs[Symbol.iterator]();
+      const iter2 = waitMs[Symbol.iterator]();
+      assert.notStrictEqual(iter1, iter2);
+      const { value } = iter1.next();
+      assert.ok(value >= minFirstWaitMs);
+      assert.ok(value <= maxFirstWaitMs);
+    });
+  }
+
+  function expectWaitMs(args, env, expectWaits, expectMinWaitMs) {
+    const envDesc = env ? ` with ${Object.keys(env).join(', ')}` : '';
+    it(`waits ${expectWaits} for ${args.join(' ')}${envDesc}`, async () => {
+      const hubCiStatus = sinon.stub().resolves(0);
+      const options = {
+        ...getTestOptions(),
+        env,
+        hubCiStatus,
+      };
+      const allArgs = [...RUNTIME_ARGS, ...args];
+      const exitCode = await hubCiStatusCmd(allArgs, options);
+      assert.strictEqual(options.stderr.read(), null);
+      assert.strictEqual(exitCode, 0);
+      const { minWaitMs, waitMs } = hubCiStatus.getCall(0).args[1].wait;
+      const waits = [];
+      for (const wait of waitMs) {
+        waits.push(wait);
+        if (waits.length === expectWaits.length) {
+          break;
+        }
+      }
+      assert.deepStrictEqual(waits, expectWaits);
+      assert.strictEqual(minWaitMs, expectMinWaitMs);
+    });
+  }
+
+  expectWaitMs(['--wait', '--interval', '2'], undefined, [2000, 4000], 2000);
+  expectWaitMs(
+    ['--wait', '--interval=300'],
+    undefined,
+    [300000, 300000],
+    4000,
+  );
+  expectWaitMs(
+    ['--wait', '--max-interval', '10'],
+    undefined,
+    [4000, 8000, 10000],
+    4000,
+  );
+  expectWaitMs(
+    ['--wait', '--backoff-factor', '3'],
+    undefined,
+    [4000, 12000, 36000],
+    4000,
+  );
+  expectWaitMs(
+    ['--wait', '--backoff-factor', '1'],
+    undefined,
+    [4000, 4000],
+    4000,
+  );
+  expectWaitMs(
+    ['--wait'],
+    {
+      HUB_CI_STATUS_BACKOFF_FACTOR: '1.5',
+      HUB_CI_STATUS_INTERVAL: '2',
+      HUB_CI_STATUS_MAX_INTERVAL: '4',
+    },
+    [2000, 3000, 4000],
+    2000,
+  );
+  expectWaitMs(
+    ['--wait', '--interval', '1'],
+    { HUB_CI_STATUS_INTERVAL: '2' },
+    [1000, 2000],
+    1000,
+  );
+
+  it('prints error and exits for invalid HUB_CI_STATUS_INTERVAL', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: { HUB_CI_STATUS_INTERVAL: 'soon' },
+      hubCiStatus,
+    };
+    const exitCode = await hubCiStatusCmd([...RUNTIME_ARGS, '--wait'], options);
+    assert.strictEqual(options.stdout.read(), null);
+    assert.match(options.stderr.read(), /\bHUB_CI_STATUS_INTERVAL\b/);
+    assert.strictEqual(exitCode, 1);
+    sinon.assert.notCalled(hubCiStatus);
+  });
+
   function expectArgsErr(args, expectErrMsg) {
     it(`prints error and exits for ${args.join(' ')}`, async () => {
       const allArgs = [...RUNTIME_ARGS, ...args];
@@ -286,6 +705,38 @@ describe('hub-ci-status command', () => {
   // Check argument errors are handled correctly
   expectArgsErr(['--color=maybe'], /\bcolor\b/);
   expectArgsErr(['--color='], /\bcolor\b/);
+  expectArgsErr(['--api-url=nope'], /\bapi-url\b/);
+  expectArgsErr(['--api-url=ftp://example.com'], /\bapi-url\b/);
+  expectArgsErr(['--backoff=random'], /\bbackoff\b/);
+  expectArgsErr(['--backoff-factor=0.5'], /\bbackoff-factor\b/);
+  expectArgsErr(['--backoff-factor=x'], /\bbackoff-factor\b/);
+  expectArgsErr(['--context=/(/'], /\bcontext\b/);
+  expectArgsErr(['--exclude-context=/[/'], /\bexclude-context\b/);
+  expectArgsErr(['--expect-count=-1'], /\bexpect-count\b/);
+  expectArgsErr(['--expect-count=1.5'], /\bexpect-count\b/);
+  expectArgsErr(['--expect-count='], /\bexpect-count\b/);
+  expectArgsErr(
+    ['--expect-workflows', '--no-git', '--repo=owner/repo'],
+    /\bno-git\b/,
+  );
+  expectArgsErr(['--expect-workflows', '--pr=1'], /\bpr\b/);
+  expectArgsErr(['--interval=0'], /\binterval\b/);
+  expectArgsErr(['--interval='], /\binterval\b/);
+  expectArgsErr(['--max-interval=-1'], /\bmax-interval\b/);
+  expectArgsErr(['--repo=owner'], /\brepo\b/);
+  expectArgsErr(['--repo=owner/'], /\brepo\b/);
+  expectArgsErr(['--repo=a/b/c/d'], /\brepo\b/);
+  expectArgsErr(['--remote=origin', '--repo=owner/repo'], /\brepo\b/);
+  expectArgsErr(['--no-git'], /\brepo\b/);
+  expectArgsErr(['--pr=nope'], /\bpr\b/);
+  expectArgsErr(['--pr='], /\bpr\b/);
+  expectArgsErr(['--pr=0'], /\bpr\b/);
+  expectArgsErr(['--pr=1.5'], /\bpr\b/);
+  expectArgsErr(['--pr=1', 'main'], /\bpr\b/);
+  expectArgsErr(['--pr=1', '#2'], /\bpr\b/);
+  expectArgsErr(['--pr=1', 'ref1', 'ref2'], /\bpr\b/);
+  expectArgsErr(['--stdin', 'ref1'], /\bstdin\b/);
+  expectArgsErr(['--stdin', '--pr=1'], /\bstdin\b/);
   expectArgsErr(['--wait=nope'], /\bwait\b/);
   expectArgsErr(['--wait='], /\bwait\b/);
   expectArgsErr(['--wait=-1'], /\bwait\b/);
@@ -293,9 +744,16 @@ describe('hub-ci-status command', () => {
   expectArgsErr(['-w-1'], /\bwait\b/);
   expectArgsErr(['--wait', '-1'], /\bwait\b/);
   expectArgsErr(['-w', '-1'], /\bwait\b/);
+  expectArgsErr(['--json', '--ndjson'], /\bndjson\b/);
+  expectArgsErr(['--tap', '--json'], /\bjson\b/);
+  expectArgsErr(['--ndjson', '--tap'], /\btap\b/);
+  expectArgsErr(['--tap', '--format=%state'], /\bformat\b/);
+  expectArgsErr(['--markdown', '--json'], /\bjson\b/);
+  expectArgsErr(['--format=%state', '--json'], /\bjson\b/);
+  expectArgsErr(['--format'], /\bformat\b/);
+  expectArgsErr(['--junit'], /\bjunit\b/);
   expectArgsErr(['--unknown123'], /\bunknown123\b/);
   // Note: Differs from hub(1), which ignores unexpected ci-status arguments.
-  expectArgsErr(['ref1', 'ref2'], /\barguments?\b/i);
 
   it('prints hubCiStatus rejection to stderr', async () => {
     const errTest = new RangeError('test');
@@ -4,15 +4,20 @@
  */
 
 import assert from 'node:assert';
+import { readFile, writeFile } from 'node:fs/promises';
 import { PassThrough } from 'node:stream';
+import { setImmediate as setImmediateP } from 'node:timers/promises';
 
 import ansiStyles from 'ansi-styles';
 import sinon from 'sinon';
+import { file as makeTempFile } from 'tmp-promise';
 
 import hubCiStatus from '../index.js';
 import {
   fetchCiStatusMockSymbol,
+  fetchRunnerJobMockSymbol,
   getProjectNameMockSymbol,
+  getPushCheckRunNamesMockSymbol,
   resolveCommitMockSymbol,
 } from '../lib/symbols.js';
 import {
@@ -23,7 +28,9 @@ import {
 const { match } = sinon;
 
 const fetchCiStatus = sinon.stub();
+const fetchRunnerJob = sinon.stub();
 const getProjectName = sinon.stub();
+const getPushCheckRunNames = sinon.stub();
 const resolveCommit = sinon.stub();
 
 const testOwner = 'owner';
@@ -39,7 +46,9 @@ let testOptions;
 beforeEach(() => {
   testOptions = {
     [fetchCiStatusMockSymbol]: fetchCiStatus,
+    [fetchRunnerJobMockSymbol]: fetchRunnerJob,
     [getProjectNameMockSymbol]: getProjectName,
+    [getPushCheckRunNamesMockSymbol]: getPushCheckRunNames,
     [resolveCommitMockSymbol]: resolveCommit,
 
     stdout: new PassThrough({ encoding: 'utf8' }),
@@ -47,20 +56,26 @@ beforeEach(() => {
   };
 
   fetchCiStatus.reset();
+  fetchRunnerJob.reset();
   getProjectName.reset();
   getProjectName.returns([testOwner, testRepo]);
+  getPushCheckRunNames.reset();
+  getPushCheckRunNames.resolves([]);
   resolveCommit.reset();
   resolveCommit.returns(testRef);
 });
 
 const statePriority = [
   'test123',
+  'skipped',
   'neutral',
   'success',
   'pending',
+  'stale',
   'cancelled',
   'timed_out',
   'action_required',
+  'startup_failure',
   'failure',
   'error',
 ];
@@ -70,18 +85,24 @@ const stateToColor = {
   cancelled: 'red',
   error: 'red',
   failure: 'red',
+  stale: 'red',
+  startup_failure: 'red', // eslint-disable-line camelcase
   timed_out: 'red', // eslint-disable-line camelcase
   neutral: 'black',
+  skipped: 'black',
   pending: 'yellow',
   test123: undefined,
 };
 const stateToExit = {
   success: 0,
   neutral: 0,
+  skipped: 0,
   action_required: 1, // eslint-disable-line camelcase
   cancelled: 1,
   error: 1,
   failure: 1,
+  stale: 1,
+  startup_failure: 1, // eslint-disable-line camelcase
   timed_out: 1, // eslint-disable-line camelcase
   pending: 2,
   test123: 3,
@@ -92,12 +113,36 @@ const stateToMarker = {
   cancelled: '✖︎',
   error: '✖︎',
   failure: '✖︎',
+  stale: '✖︎',
+  startup_failure: '✖︎', // eslint-disable-line camelcase
   timed_out: '✖︎', // eslint-disable-line camelcase
   neutral: '◦',
+  skipped: '◦',
   pending: '●',
   test123: '',
 };
 
+// Check runs with one for a job in GitHub Actions run 123 named by the name:
+// property of the job, rather than its ID
+function makeChecksWithActionsJob(jobId) {
+  const checkRuns = makeCheckRuns('success', 'in_progress').data;
+  /* eslint-disable camelcase */
+  const actionsCheckRun = {
+    ...checkRuns.check_runs[1],
+    details_url: `https://github.com/owner/repo/actions/runs/123/job/${jobId}`,
+    name: 'Test Job',
+  };
+  return {
+    ...checkRuns,
+    check_runs: [checkRuns.check_runs[0], actionsCheckRun],
+  };
+  /* eslint-enable camelcase */
+}
+
+function readLines(stream) {
+  return stream.read().split('\n');
+}
+
 describe('hubCiStatus', () => {
   it('checks HEAD by default', async () => {
     fetchCiStatus.resolves([
@@ -109,7 +154,7 @@ describe('hubCiStatus', () => {
     assert.strictEqual(testOptions.stderr.read(), null);
     assert.strictEqual(result, 0);
 
-    sinon.assert.calledOnceWithExactly(getProjectName, undefined);
+    sinon.assert.calledOnceWithExactly(getProjectName, undefined, undefined);
     sinon.assert.calledOnceWithExactly(resolveCommit, 'HEAD', undefined);
     sinon.assert.calledOnceWithExactly(
       fetchCiStatus,
@@ -133,270 +178,1515 @@ describe('hubCiStatus', () => {
     );
   });
 
-  it('propagates getProjectName error', async () => {
-    const errTest = new Error('test');
-    getProjectName.rejects(errTest);
-    await assert.rejects(
-      () => hubCiStatus(undefined, testOptions),
-      errTest,
+  it('uses default baseUrl for github.com', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, testOptions);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ octokitOptions: undefined }),
     );
-    assert.strictEqual(testOptions.stdout.read(), null);
-    assert.strictEqual(testOptions.stderr.read(), null);
-
-    sinon.assert.calledOnceWithExactly(getProjectName, undefined);
-    sinon.assert.callCount(fetchCiStatus, 0);
   });
 
-  it('propagates getProjectName error', async () => {
-    const errTest = new Error('test');
-    resolveCommit.rejects(errTest);
-    await assert.rejects(
-      () => hubCiStatus(undefined, testOptions),
-      errTest,
+  it('uses API on GitHub Enterprise Server host as baseUrl', async () => {
+    getProjectName.returns([testOwner, testRepo, 'ghe.example.com']);
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, {
+      ...testOptions,
+      octokitOptions: { auth: 'token' },
+    });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({
+        octokitOptions: {
+          auth: 'token',
+          baseUrl: 'https://ghe.example.com/api/v3',
+        },
+      }),
     );
-    assert.strictEqual(testOptions.stdout.read(), null);
-    assert.strictEqual(testOptions.stderr.read(), null);
-
-    sinon.assert.calledOnceWithExactly(resolveCommit, 'HEAD', undefined);
-    sinon.assert.callCount(fetchCiStatus, 0);
   });
 
-  it('prints "no status" if no checks or statuses', async () => {
+  it('prefers octokitOptions.baseUrl to remote host', async () => {
+    getProjectName.returns([testOwner, testRepo, 'ghe.example.com']);
     fetchCiStatus.resolves([
-      makeCombinedStatus().data,
-      makeCheckRuns().data,
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
     ]);
-    const result = await hubCiStatus(undefined, testOptions);
-    assert.strictEqual(testOptions.stdout.read(), 'no status\n');
-    assert.strictEqual(testOptions.stderr.read(), null);
-    assert.strictEqual(result, 3);
+    const octokitOptions = { baseUrl: 'https://api.example.com' };
+    await hubCiStatus(undefined, { ...testOptions, octokitOptions });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ octokitOptions }),
+    );
   });
 
-  it('does not colorize non-verbose output', async () => {
+  it('prefers apiUrl to octokitOptions.baseUrl and remote host', async () => {
+    getProjectName.returns([testOwner, testRepo, 'ghe.example.com']);
     fetchCiStatus.resolves([
       makeCombinedStatus('success').data,
-      makeCheckRuns('failure').data,
+      makeCheckRuns('success').data,
     ]);
     await hubCiStatus(undefined, {
       ...testOptions,
-      useColor: true,
+      apiUrl: 'https://ghe2.example.com/api/v3',
+      octokitOptions: { baseUrl: 'https://api.example.com' },
     });
-    assert.strictEqual(testOptions.stdout.read(), 'failure\n');
-    assert.strictEqual(testOptions.stderr.read(), null);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({
+        octokitOptions: { baseUrl: 'https://ghe2.example.com/api/v3' },
+      }),
+    );
   });
 
-  for (let i = 1; i < statePriority.length; i += 1) {
-    it(`prefers ${statePriority[i]} to ${statePriority[i - 1]}`, async () => {
-      const state1 = statePriority[i - 1];
-      const state2 = statePriority[i];
-      let fetchResult;
-      if (state1 === 'pending') {
-        fetchResult = [
-          makeCombinedStatus('pending').data,
-          makeCheckRuns(state2).data,
-        ];
-      } else if (state2 === 'pending') {
-        fetchResult = [
-          makeCombinedStatus('pending').data,
-          makeCheckRuns(state1).data,
-        ];
-      } else {
-        fetchResult = [makeCombinedStatus().data];
-        // Swap order to ensure first/last isn't preferred
-        if (i % 2) {
-          fetchResult[1] = makeCheckRuns(state1, state2).data;
-        } else {
-          fetchResult[1] = makeCheckRuns(state2, state1).data;
-        }
-      }
-      fetchCiStatus.resolves(fetchResult);
-      await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), `${state2}\n`);
-      assert.strictEqual(testOptions.stderr.read(), null);
+  it('passes graphql to fetchCiStatus', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, { ...testOptions, graphql: true });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ graphql: true }),
+    );
+  });
+
+  it('passes signal to git and fetchCiStatus', async () => {
+    const { signal } = new AbortController();
+    const gitOptions = { cwd: '/tmp' };
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(testRef, { ...testOptions, gitOptions, signal });
+    const gitOptionsWithSignal = { cwd: '/tmp', signal };
+    sinon.assert.calledOnceWithExactly(
+      getProjectName,
+      gitOptionsWithSignal,
+      undefined,
+    );
+    sinon.assert.calledOnceWithExactly(
+      resolveCommit,
+      testRef,
+      gitOptionsWithSignal,
+    );
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ signal }),
+    );
+  });
+
+  it('excludes check runs of excludeActionsRun from state', async () => {
+    const excludeActionsRun = { runId: '123', job: 'test' };
+    const checkRuns = makeCheckRuns('success', 'in_progress').data;
+    /* eslint-disable camelcase */
+    const actionsCheckRun = {
+      ...checkRuns.check_runs[1],
+      details_url: 'https://github.com/owner/repo/actions/runs/123/job/456',
+      name: 'test',
+    };
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      {
+        ...checkRuns,
+        check_runs: [checkRuns.check_runs[0], actionsCheckRun],
+      },
+    ]);
+    /* eslint-enable camelcase */
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      excludeActionsRun,
+      expectContexts: ['test'],
     });
-  }
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ excludeActionsRun }),
+    );
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
 
-  describe('with verbosity=-1', () => {
-    beforeEach(() => { testOptions.verbosity = -1; });
+  describe('with excludeActionsRun for current job on runner', () => {
+    const excludeActionsRun = Object.freeze({
+      runId: '123',
+      job: 'test',
+      repository: 'actions-owner/actions-repo',
+      runAttempt: '2',
+      runnerName: 'GitHub Actions 3',
+    });
 
-    it('does not print status', async () => {
+    it('excludes check run of job on runner from state', async () => {
+      fetchRunnerJob.resolves({ id: 456 });
       fetchCiStatus.resolves([
         makeCombinedStatus('success').data,
-        makeCheckRuns('success').data,
+        makeChecksWithActionsJob(456),
       ]);
-      await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), null);
-      assert.strictEqual(testOptions.stderr.read(), null);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun,
+      });
+      sinon.assert.calledOnceWithExactly(
+        fetchRunnerJob,
+        {
+          owner: 'actions-owner',
+          repo: 'actions-repo',
+          runId: '123',
+          runAttempt: '2',
+          runnerName: 'GitHub Actions 3',
+        },
+        match({ octokitOptions: undefined }),
+      );
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ excludeActionsRun: { runId: '123', jobId: 456 } }),
+      );
+      assert.strictEqual(testOptions.stdout.read(), 'success\n');
+      assert.strictEqual(result, 0);
     });
 
-    it('does not print "no status"', async () => {
+    it('does not exclude check runs of other jobs from state', async () => {
+      fetchRunnerJob.resolves({ id: 789 });
       fetchCiStatus.resolves([
-        makeCombinedStatus().data,
-        makeCheckRuns().data,
+        makeCombinedStatus('success').data,
+        makeChecksWithActionsJob(456),
       ]);
-      const result = await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), null);
-      assert.strictEqual(testOptions.stderr.read(), null);
-      assert.strictEqual(result, 3);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun,
+      });
+      assert.strictEqual(testOptions.stdout.read(), 'pending\n');
+      assert.strictEqual(result, 2);
     });
-  });
-
-  describe('with verbosity=1', () => {
-    beforeEach(() => { testOptions.verbosity = 1; });
 
-    it('prints "no status" if no checks or statuses', async () => {
+    it('matches check runs by job name if job is not found', async () => {
+      fetchRunnerJob.resolves(undefined);
       fetchCiStatus.resolves([
-        makeCombinedStatus().data,
-        makeCheckRuns().data,
+        makeCombinedStatus('success').data,
+        makeChecksWithActionsJob(456),
       ]);
-      await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), 'no status\n');
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun,
+      });
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ excludeActionsRun }),
+      );
       assert.strictEqual(testOptions.stderr.read(), null);
     });
 
-    for (const [state, marker] of Object.entries(stateToMarker)) {
-      if (['success', 'pending', 'failure', 'test123'].includes(state)) {
-        it(`prints status ${state} with marker ${marker}`, async () => {
-          fetchCiStatus.resolves([
-            makeCombinedStatus(state).data,
-            makeCheckRuns().data,
-          ]);
-          const result = await hubCiStatus(undefined, testOptions);
-          assert.strictEqual(
-            testOptions.stdout.read(),
-            `${marker}\tcontinuous-integration/jenkins\t`
-            + 'https://ci.example.com/1000/output\n',
-          );
-          assert.strictEqual(testOptions.stderr.read(), null);
-          assert.strictEqual(result, stateToExit[state]);
-        });
-      }
-
-      if (state !== 'pending') {
-        it(`prints check ${state} with marker ${marker}`, async () => {
-          fetchCiStatus.resolves([
-            makeCombinedStatus().data,
-            makeCheckRuns(state).data,
-          ]);
-          const result = await hubCiStatus(undefined, testOptions);
-          assert.strictEqual(
-            testOptions.stdout.read(),
-            `${marker}\tmighty_readme\t`
-            + 'https://github.com/github/hello-world/runs/4\n',
-          );
-          assert.strictEqual(testOptions.stderr.read(), null);
-          assert.strictEqual(result, stateToExit[state]);
-        });
-      }
-    }
-
-    it('pads second column with spaces to align URLs', async () => {
+    it('warns and matches by job name if lookup fails', async () => {
+      const errTest = new Error('Resource not accessible by integration');
+      fetchRunnerJob.rejects(errTest);
       fetchCiStatus.resolves([
         makeCombinedStatus('success').data,
-        makeCheckRuns('success').data,
+        makeChecksWithActionsJob(456),
       ]);
-      await hubCiStatus(undefined, testOptions);
-      const marker = stateToMarker.success;
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun,
+      });
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ excludeActionsRun }),
+      );
       assert.strictEqual(
-        testOptions.stdout.read(),
-        `${marker}\tcontinuous-integration/jenkins\t`
-        + 'https://ci.example.com/1000/output\n'
-        + `${marker}\tmighty_readme                 \t`
-        + 'https://github.com/github/hello-world/runs/4\n',
+        testOptions.stderr.read(),
+        'Warning: Unable to get current GitHub Actions job: '
+        + 'Resource not accessible by integration\n',
       );
-      assert.strictEqual(testOptions.stderr.read(), null);
     });
 
-    it('omits padding without any URLs', async () => {
-      const combinedStatus = makeCombinedStatus('success').data;
-      const checkRuns = makeCheckRuns('success').data;
-      /* eslint-disable camelcase */
+    it('looks up job in checked repository without repository', async () => {
+      fetchRunnerJob.resolves({ id: 456 });
       fetchCiStatus.resolves([
-        {
-          ...combinedStatus,
-          statuses: combinedStatus.statuses.map((status) => ({
-            ...status,
-            target_url: '',
-          })),
-        },
-        {
-          ...checkRuns,
-          check_runs: checkRuns.check_runs.map((checkRun) => ({
-            ...checkRun,
-            html_url: '',
-          })),
-        },
+        makeCombinedStatus('success').data,
+        makeChecksWithActionsJob(456),
       ]);
-      /* eslint-enable camelcase */
-      await hubCiStatus(undefined, testOptions);
-      const marker = stateToMarker.success;
-      assert.strictEqual(
-        testOptions.stdout.read(),
-        `${marker}\tcontinuous-integration/jenkins\n`
-        + `${marker}\tmighty_readme\n`,
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun: { ...excludeActionsRun, repository: undefined },
+      });
+      sinon.assert.calledOnceWithMatch(
+        fetchRunnerJob,
+        { owner: testOwner, repo: testRepo },
       );
-      assert.strictEqual(testOptions.stderr.read(), null);
     });
 
-    it('colorizes if stdout.isTTY', async () => {
+    it('does not look up job without runnerName', async () => {
       fetchCiStatus.resolves([
         makeCombinedStatus('success').data,
-        makeCheckRuns().data,
+        makeChecksWithActionsJob(456),
       ]);
-      testOptions.stdout.isTTY = true;
-      await hubCiStatus(undefined, testOptions);
-      const { open, close } = ansiStyles[stateToColor.success];
-      const marker = stateToMarker.success;
-      assert.strictEqual(
-        testOptions.stdout.read(),
-        `${open}${marker}${close}\tcontinuous-integration/jenkins\t`
-        + 'https://ci.example.com/1000/output\n',
-      );
-      assert.strictEqual(testOptions.stderr.read(), null);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        excludeActionsRun: { runId: '123', job: 'test' },
+      });
+      sinon.assert.notCalled(fetchRunnerJob);
     });
+  });
 
-    describe('with useColor', () => {
-      beforeEach(() => { testOptions.useColor = true; });
+  it('excludes statuses and checks by context', async () => {
+    const contexts = [/^continuous-integration\//, /^mighty_/];
+    const excludeContexts = [/^mighty_/];
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success', 'failure').data,
+      makeCheckRuns('failure').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      contexts,
+      excludeContexts,
+      verbosity: 1,
+    });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ contexts, excludeContexts }),
+    );
+    assert.strictEqual(
+      testOptions.stdout.read(),
+      '✔︎\tcontinuous-integration/jenkins\thttps://ci.example.com/1000/output\n',
+    );
+    assert.strictEqual(testOptions.stderr.read(), null);
+    assert.strictEqual(result, 0);
+  });
+
+  it('passes required to fetchCiStatus', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, { ...testOptions, required: 'main' });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ required: 'main' }),
+    );
+  });
+
+  it('passes expectContexts and expectCount to fetchCiStatus', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    const expectContexts = ['mighty_readme'];
+    await hubCiStatus(undefined, {
+      ...testOptions,
+      expectContexts,
+      expectCount: 2,
+    });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ expectContexts, expectCount: 2 }),
+    );
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+  });
+
+  it('prints failure for expected context not reported', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      expectContexts: ['continuous-integration/jenkins', 'missing'],
+      verbosity: 1,
+    });
+    assert.strictEqual(
+      testOptions.stdout.read(),
+      '✔︎\tcontinuous-integration/jenkins\thttps://ci.example.com/1000/output\n'
+      + `✖︎\t${'missing'.padEnd(30)}\n`,
+    );
+    assert.strictEqual(testOptions.stderr.read(), null);
+    assert.strictEqual(result, 1);
+  });
+
+  it('ignores expected context excluded by contexts', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      contexts: [/^continuous/],
+      expectContexts: ['mighty_readme'],
+      verbosity: 1,
+    });
+    assert.strictEqual(
+      testOptions.stdout.read(),
+      '✔︎\tcontinuous-integration/jenkins\thttps://ci.example.com/1000/output\n',
+    );
+    assert.strictEqual(result, 0);
+  });
+
+  it('ignores expected context excluded by excludeContexts', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      excludeContexts: [/^mighty/],
+      expectContexts: ['mighty_readme'],
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
+
+  it('ignores expected context which is not required', async () => {
+    // fetchCiStatus returns only required statuses and checks
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns('success').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      expectContexts: ['continuous-integration/jenkins', 'mighty_readme'],
+      required: true,
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
+
+  it('prints failure for fewer than expectCount reported', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      expectCount: 3,
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'failure\n');
+    assert.strictEqual(
+      testOptions.stderr.read(),
+      'Error: Expected 3 statuses and checks, but only 2 were reported.\n',
+    );
+    assert.strictEqual(result, 1);
+  });
+
+  it('passes check run names from workflows as expectContexts', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    getPushCheckRunNames.resolves(['mighty_readme', 'test']);
+    await hubCiStatus('mybranch', {
+      ...testOptions,
+      expectContexts: ['mighty_readme', 'lint'],
+      expectWorkflows: true,
+    });
+    sinon.assert.calledOnceWithExactly(
+      getPushCheckRunNames,
+      testRef,
+      'mybranch',
+      undefined,
+    );
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ expectContexts: ['mighty_readme', 'lint', 'test'] }),
+    );
+  });
+
+  it('prints failure for check from workflows not reported', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns('success').data,
+    ]);
+    getPushCheckRunNames.resolves(['mighty_readme', 'test']);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      expectWorkflows: true,
+      verbosity: 1,
+    });
+    assert.strictEqual(
+      testOptions.stdout.read(),
+      '✔︎\tmighty_readme\thttps://github.com/github/hello-world/runs/4\n'
+      + `✖︎\t${'test'.padEnd(13)}\n`,
+    );
+    assert.strictEqual(result, 1);
+  });
+
+  it('ignores check from workflows which is not required', async () => {
+    // fetchCiStatus returns only required statuses and checks
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns('success').data,
+    ]);
+    getPushCheckRunNames.resolves(['mighty_readme', 'test']);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      expectWorkflows: true,
+      required: true,
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
+
+  it('does not read workflows without expectWorkflows', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, testOptions);
+    sinon.assert.notCalled(getPushCheckRunNames);
+  });
+
+  it('throws TypeError for expectWorkflows with pullNumber', async () => {
+    await assert.rejects(
+      () => hubCiStatus(undefined, {
+        ...testOptions,
+        expectWorkflows: true,
+        pullNumber: 1234,
+      }),
+      TypeError,
+    );
+    sinon.assert.notCalled(fetchCiStatus);
+  });
+
+  it('throws TypeError for expectWorkflows with useGit=false', async () => {
+    await assert.rejects(
+      () => hubCiStatus(undefined, {
+        ...testOptions,
+        expectWorkflows: true,
+        project: 'owner/repo',
+        useGit: false,
+      }),
+      TypeError,
+    );
+    sinon.assert.notCalled(fetchCiStatus);
+  });
+
+  for (const expectCount of [-1, 1.5, '1']) {
+    it(`rejects RangeError for expectCount ${expectCount}`, () => {
+      return assert.rejects(
+        () => hubCiStatus(undefined, { ...testOptions, expectCount }),
+        RangeError,
+      );
+    });
+  }
+
+  it('calls getProjectName with remote', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, { ...testOptions, remote: 'origin' });
+    sinon.assert.calledOnceWithExactly(getProjectName, undefined, 'origin');
+  });
+
+  it('uses project instead of getProjectName', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, {
+      ...testOptions,
+      project: 'owner2/repo2',
+      remote: 'origin',
+    });
+    sinon.assert.notCalled(getProjectName);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      { owner: 'owner2', repo: 'repo2', ref: testRef },
+      match({ octokitOptions: undefined }),
+    );
+  });
+
+  it('uses API on host of project as baseUrl', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    await hubCiStatus(undefined, {
+      ...testOptions,
+      project: 'ghe.example.com/owner2/repo2',
+    });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      { owner: 'owner2', repo: 'repo2', ref: testRef },
+      match({
+        octokitOptions: { baseUrl: 'https://ghe.example.com/api/v3' },
+      }),
+    );
+  });
+
+  describe('with pullNumber', () => {
+    it('fetches status for pull request without resolving rev', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      fetchCiStatus.resolves([combinedStatus, makeCheckRuns('success').data]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        output: 'json',
+        pullNumber: 1234,
+      });
+      sinon.assert.calledOnceWithExactly(getProjectName, undefined, undefined);
+      sinon.assert.notCalled(resolveCommit);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        { owner: testOwner, repo: testRepo },
+        match({ pullNumber: 1234, resolveRef: false }),
+      );
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.sha, combinedStatus.sha);
+    });
+
+    for (const pullNumber of [0, -1, 1.5, '1']) {
+      it(`throws RangeError for ${JSON.stringify(pullNumber)}`, async () => {
+        await assert.rejects(
+          () => hubCiStatus(undefined, { ...testOptions, pullNumber }),
+          RangeError,
+        );
+        sinon.assert.notCalled(fetchCiStatus);
+      });
+    }
+  });
+
+  describe('with useGit=false', () => {
+    it('throws TypeError without project', async () => {
+      await assert.rejects(
+        () => hubCiStatus(undefined, { ...testOptions, useGit: false }),
+        TypeError,
+      );
+      sinon.assert.notCalled(fetchCiStatus);
+    });
+
+    it('resolves HEAD using API by default', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      fetchCiStatus.resolves([combinedStatus, makeCheckRuns('success').data]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        output: 'json',
+        project: 'owner2/repo2',
+        useGit: false,
+      });
+      sinon.assert.notCalled(getProjectName);
+      sinon.assert.notCalled(resolveCommit);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        { owner: 'owner2', repo: 'repo2', ref: 'HEAD' },
+        match({ resolveRef: true }),
+      );
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.sha, combinedStatus.sha);
+    });
+
+    it('resolves rev using API', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus('v1.0.0', {
+        ...testOptions,
+        project: 'owner2/repo2',
+        useGit: false,
+      });
+      sinon.assert.notCalled(resolveCommit);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        { owner: 'owner2', repo: 'repo2', ref: 'v1.0.0' },
+        match({ resolveRef: true }),
+      );
+    });
+  });
+
+  it('propagates getProjectName error', async () => {
+    const errTest = new Error('test');
+    getProjectName.rejects(errTest);
+    await assert.rejects(
+      () => hubCiStatus(undefined, testOptions),
+      errTest,
+    );
+    assert.strictEqual(testOptions.stdout.read(), null);
+    assert.strictEqual(testOptions.stderr.read(), null);
+
+    sinon.assert.calledOnceWithExactly(getProjectName, undefined, undefined);
+    sinon.assert.callCount(fetchCiStatus, 0);
+  });
+
+  it('propagates getProjectName error', async () => {
+    const errTest = new Error('test');
+    resolveCommit.rejects(errTest);
+    await assert.rejects(
+      () => hubCiStatus(undefined, testOptions),
+      errTest,
+    );
+    assert.strictEqual(testOptions.stdout.read(), null);
+    assert.strictEqual(testOptions.stderr.read(), null);
+
+    sinon.assert.calledOnceWithExactly(resolveCommit, 'HEAD', undefined);
+    sinon.assert.callCount(fetchCiStatus, 0);
+  });
+
+  it('prints "no status" if no checks or statuses', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    const result = await hubCiStatus(undefined, testOptions);
+    assert.strictEqual(testOptions.stdout.read(), 'no status\n');
+    assert.strictEqual(testOptions.stderr.read(), null);
+    assert.strictEqual(result, 3);
+  });
+
+  it('warns if fewer statuses than total_count were fetched', async () => {
+    const checkRuns = makeCheckRuns('success').data;
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      { ...checkRuns, total_count: 3 }, // eslint-disable-line camelcase
+    ]);
+    await hubCiStatus(undefined, testOptions);
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(
+      testOptions.stderr.read(),
+      'Warning: Only 2 of 4 statuses and checks were fetched.  '
+      + 'State may not reflect all statuses and checks.\n',
+    );
+  });
+
+  it('does not colorize non-verbose output', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('failure').data,
+    ]);
+    await hubCiStatus(undefined, {
+      ...testOptions,
+      useColor: true,
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'failure\n');
+    assert.strictEqual(testOptions.stderr.read(), null);
+  });
+
+  for (let i = 1; i < statePriority.length; i += 1) {
+    it(`prefers ${statePriority[i]} to ${statePriority[i - 1]}`, async () => {
+      const state1 = statePriority[i - 1];
+      const state2 = statePriority[i];
+      let fetchResult;
+      if (state1 === 'pending') {
+        fetchResult = [
+          makeCombinedStatus('pending').data,
+          makeCheckRuns(state2).data,
+        ];
+      } else if (state2 === 'pending') {
+        fetchResult = [
+          makeCombinedStatus('pending').data,
+          makeCheckRuns(state1).data,
+        ];
+      } else {
+        fetchResult = [makeCombinedStatus().data];
+        // Swap order to ensure first/last isn't preferred
+        if (i % 2) {
+          fetchResult[1] = makeCheckRuns(state1, state2).data;
+        } else {
+          fetchResult[1] = makeCheckRuns(state2, state1).data;
+        }
+      }
+      fetchCiStatus.resolves(fetchResult);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), `${state2}\n`);
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+  }
+
+  describe('with verbosity=-1', () => {
+    beforeEach(() => { testOptions.verbosity = -1; });
+
+    it('does not print status', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('does not print "no status"', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 3);
+    });
+  });
+
+  describe('with verbosity=1', () => {
+    beforeEach(() => { testOptions.verbosity = 1; });
+
+    it('prints "no status" if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), 'no status\n');
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    for (const [state, marker] of Object.entries(stateToMarker)) {
+      if (['success', 'pending', 'failure', 'test123'].includes(state)) {
+        it(`prints status ${state} with marker ${marker}`, async () => {
+          fetchCiStatus.resolves([
+            makeCombinedStatus(state).data,
+            makeCheckRuns().data,
+          ]);
+          const result = await hubCiStatus(undefined, testOptions);
+          assert.strictEqual(
+            testOptions.stdout.read(),
+            `${marker}\tcontinuous-integration/jenkins\t`
+            + 'https://ci.example.com/1000/output\n',
+          );
+          assert.strictEqual(testOptions.stderr.read(), null);
+          assert.strictEqual(result, stateToExit[state]);
+        });
+      }
+
+      if (state !== 'pending') {
+        it(`prints check ${state} with marker ${marker}`, async () => {
+          fetchCiStatus.resolves([
+            makeCombinedStatus().data,
+            makeCheckRuns(state).data,
+          ]);
+          const result = await hubCiStatus(undefined, testOptions);
+          assert.strictEqual(
+            testOptions.stdout.read(),
+            `${marker}\tmighty_readme\t`
+            + 'https://github.com/github/hello-world/runs/4\n',
+          );
+          assert.strictEqual(testOptions.stderr.read(), null);
+          assert.strictEqual(result, stateToExit[state]);
+        });
+      }
+    }
+
+    it('pads second column with spaces to align URLs', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      const marker = stateToMarker.success;
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${marker}\tcontinuous-integration/jenkins\t`
+        + 'https://ci.example.com/1000/output\n'
+        + `${marker}\tmighty_readme                 \t`
+        + 'https://github.com/github/hello-world/runs/4\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('omits padding without any URLs', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      const checkRuns = makeCheckRuns('success').data;
+      /* eslint-disable camelcase */
+      fetchCiStatus.resolves([
+        {
+          ...combinedStatus,
+          statuses: combinedStatus.statuses.map((status) => ({
+            ...status,
+            target_url: '',
+          })),
+        },
+        {
+          ...checkRuns,
+          check_runs: checkRuns.check_runs.map((checkRun) => ({
+            ...checkRun,
+            html_url: '',
+          })),
+        },
+      ]);
+      /* eslint-enable camelcase */
+      await hubCiStatus(undefined, testOptions);
+      const marker = stateToMarker.success;
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${marker}\tcontinuous-integration/jenkins\n`
+        + `${marker}\tmighty_readme\n`,
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('colorizes if stdout.isTTY', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      testOptions.stdout.isTTY = true;
+      await hubCiStatus(undefined, testOptions);
+      const { open, close } = ansiStyles[stateToColor.success];
+      const marker = stateToMarker.success;
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${open}${marker}${close}\tcontinuous-integration/jenkins\t`
+        + 'https://ci.example.com/1000/output\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    describe('with useColor', () => {
+      beforeEach(() => { testOptions.useColor = true; });
+
+      for (const [state, colorName] of Object.entries(stateToColor)) {
+        if (['success', 'pending', 'failure', 'test123'].includes(state)) {
+          it(`prints status ${state} in color ${colorName}`, async () => {
+            fetchCiStatus.resolves([
+              makeCombinedStatus(state).data,
+              makeCheckRuns().data,
+            ]);
+            await hubCiStatus(undefined, testOptions);
+            const { open, close } =
+              colorName ? ansiStyles[colorName] : { open: '', close: '' };
+            const marker = stateToMarker[state];
+            assert.strictEqual(
+              testOptions.stdout.read(),
+              `${open}${marker}${close}\tcontinuous-integration/jenkins\t`
+              + 'https://ci.example.com/1000/output\n',
+            );
+            assert.strictEqual(testOptions.stderr.read(), null);
+          });
+        }
+
+        if (state !== 'pending') {
+          it(`prints check ${state} in color ${colorName}`, async () => {
+            fetchCiStatus.resolves([
+              makeCombinedStatus().data,
+              makeCheckRuns(state).data,
+            ]);
+            await hubCiStatus(undefined, testOptions);
+            const { open, close } =
+              colorName ? ansiStyles[colorName] : { open: '', close: '' };
+            const marker = stateToMarker[state];
+            assert.strictEqual(
+              testOptions.stdout.read(),
+              `${open}${marker}${close}\tmighty_readme\t`
+              + 'https://github.com/github/hello-world/runs/4\n',
+            );
+            assert.strictEqual(testOptions.stderr.read(), null);
+          });
+        }
+      }
+    });
+  });
+
+  describe('with format', () => {
+    it('prints each status using format', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('failure').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '%state|%context|%url|%marker|%duration|%app|%sha',
+      });
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'success|continuous-integration/jenkins|'
+        + 'https://ci.example.com/1000/output|'
+        + `${stateToMarker.success}|||${testRef}\n`
+        + 'failure|mighty_readme|'
+        + 'https://github.com/github/hello-world/runs/4|'
+        + `${stateToMarker.failure}|0s|Octocat App|${testRef}\n`,
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('prints duration of completed checks', async () => {
+      const checkRuns = makeCheckRuns('success').data;
+      /* eslint-disable camelcase */
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        {
+          ...checkRuns,
+          check_runs: checkRuns.check_runs.map((checkRun) => ({
+            ...checkRun,
+            started_at: '2018-05-04T01:14:52Z',
+            completed_at: '2018-05-04T01:16:55Z',
+          })),
+        },
+      ]);
+      /* eslint-enable camelcase */
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '%context took %duration',
+      });
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'mighty_readme took 2m3s\n',
+      );
+    });
+
+    it('colorizes marker with useColor', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '%marker',
+        useColor: true,
+      });
+      const { open, close } = ansiStyles[stateToColor.success];
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${open}${stateToMarker.success}${close}\n`,
+      );
+    });
+
+    it('prints formatHeader and formatFooter around statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('pending').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '  %context',
+        formatFooter: '%count statuses: %state %marker',
+        formatHeader: '%owner/%repo@%sha',
+      });
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${testOwner}/${testRepo}@${testRef}\n`
+        + '  continuous-integration/jenkins\n'
+        + '  mighty_readme\n'
+        + `2 statuses: pending ${stateToMarker.pending}\n`,
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 2);
+    });
 
-      for (const [state, colorName] of Object.entries(stateToColor)) {
-        if (['success', 'pending', 'failure', 'test123'].includes(state)) {
-          it(`prints status ${state} in color ${colorName}`, async () => {
-            fetchCiStatus.resolves([
-              makeCombinedStatus(state).data,
-              makeCheckRuns().data,
-            ]);
-            await hubCiStatus(undefined, testOptions);
-            const { open, close } =
-              colorName ? ansiStyles[colorName] : { open: '', close: '' };
-            const marker = stateToMarker[state];
-            assert.strictEqual(
-              testOptions.stdout.read(),
-              `${open}${marker}${close}\tcontinuous-integration/jenkins\t`
-              + 'https://ci.example.com/1000/output\n',
-            );
-            assert.strictEqual(testOptions.stderr.read(), null);
-          });
-        }
+    it('prints only formatFooter without format', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        formatFooter: '%state',
+      });
+      assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    });
 
-        if (state !== 'pending') {
-          it(`prints check ${state} in color ${colorName}`, async () => {
-            fetchCiStatus.resolves([
-              makeCombinedStatus().data,
-              makeCheckRuns(state).data,
-            ]);
-            await hubCiStatus(undefined, testOptions);
-            const { open, close } =
-              colorName ? ansiStyles[colorName] : { open: '', close: '' };
-            const marker = stateToMarker[state];
-            assert.strictEqual(
-              testOptions.stdout.read(),
-              `${open}${marker}${close}\tmighty_readme\t`
-              + 'https://github.com/github/hello-world/runs/4\n',
-            );
-            assert.strictEqual(testOptions.stderr.read(), null);
-          });
-        }
+    it('prints nothing for format without statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '%context',
+      });
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(result, 3);
+    });
+
+    it('does not print with verbosity=-1', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        format: '%context',
+        verbosity: -1,
+      });
+      assert.strictEqual(testOptions.stdout.read(), null);
+    });
+  });
+
+  describe('with junit', () => {
+    let tempFile;
+    beforeEach(async () => {
+      tempFile = await makeTempFile();
+      testOptions.junit = tempFile.path;
+    });
+    afterEach(() => tempFile.cleanup());
+
+    it('writes JUnit XML report to file', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('failure').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const junit = await readFile(tempFile.path, { encoding: 'utf8' });
+      assert.match(junit, /^<\?xml /);
+      assert.match(
+        junit,
+        /<testcase name="continuous-integration\/jenkins" [^>]*\/>/,
+      );
+      assert.match(
+        junit,
+        /<testcase name="mighty_readme" [^>]*>\s*<failure message="failure"/,
+      );
+      assert.strictEqual(testOptions.stdout.read(), 'failure\n');
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('writes JUnit XML report with verbosity=-1', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('pending').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        verbosity: -1,
+      });
+      const junit = await readFile(tempFile.path, { encoding: 'utf8' });
+      assert.match(junit, /<skipped message="pending"\/>/);
+      assert.strictEqual(testOptions.stdout.read(), null);
+    });
+  });
+
+  describe('with output=json', () => {
+    beforeEach(() => { testOptions.output = 'json'; });
+
+    it('prints owner, repo, sha, state, exit code, and statuses', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      const checkRuns = makeCheckRuns('failure').data;
+      fetchCiStatus.resolves([combinedStatus, checkRuns]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const checkRun = checkRuns.check_runs[0];
+      /* eslint-disable camelcase */
+      assert.deepStrictEqual(JSON.parse(testOptions.stdout.read()), {
+        owner: testOwner,
+        repo: testRepo,
+        sha: testRef,
+        state: 'failure',
+        exit_code: 1,
+        total_count: 2,
+        statuses: [
+          combinedStatus.statuses[0],
+          {
+            state: 'failure',
+            context: checkRun.name,
+            target_url: checkRun.html_url,
+            status: checkRun.status,
+            conclusion: checkRun.conclusion,
+            started_at: checkRun.started_at,
+            completed_at: checkRun.completed_at,
+            app: checkRun.app,
+            output: checkRun.output,
+          },
+        ],
+      });
+      /* eslint-enable camelcase */
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('prints status and conclusion of pending checks', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('in_progress').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.state, 'pending');
+      assert.strictEqual(output.statuses[0].state, 'pending');
+      assert.strictEqual(output.statuses[0].status, 'in_progress');
+      assert.strictEqual(result, 2);
+    });
+
+    it('prints total_count of statuses and checks from API', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      const checkRuns = makeCheckRuns('success').data;
+      fetchCiStatus.resolves([
+        combinedStatus,
+        { ...checkRuns, total_count: 5 }, // eslint-disable-line camelcase
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.total_count, 6);
+      assert.strictEqual(output.statuses.length, 2);
+    });
+
+    it('prints empty statuses if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.state, '');
+      assert.strictEqual(output.exit_code, 3);
+      assert.deepStrictEqual(output.statuses, []);
+      assert.strictEqual(result, 3);
+    });
+
+    it('does not print with verbosity=-1', async () => {
+      testOptions.verbosity = -1;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(result, 0);
+    });
+  });
+
+  describe('with output=ndjson', () => {
+    beforeEach(() => { testOptions.output = 'ndjson'; });
+
+    it('prints poll changes and result as JSON lines', async () => {
+      const pollInfo = {
+        statusCount: 1,
+        statusWaitCount: 0,
+        checkCount: 1,
+        checkWaitCount: 1,
+      };
+      fetchCiStatus.callsFake(async (params, opts) => {
+        opts.onPoll(
+          [makeCombinedStatus('success').data, makeCheckRuns('queued').data],
+          { ...pollInfo, time: 0 },
+        );
+        opts.onPoll(
+          [makeCombinedStatus('success').data, makeCheckRuns('failure').data],
+          { ...pollInfo, checkWaitCount: 0, time: 4000 },
+        );
+        return [
+          makeCombinedStatus('success').data,
+          makeCheckRuns('failure').data,
+        ];
+      });
+      const result = await hubCiStatus(undefined, testOptions);
+      const lines = readLines(testOptions.stdout);
+      assert.strictEqual(lines.length, 4);
+      assert.strictEqual(lines[3], '');
+      /* eslint-disable camelcase */
+      assert.deepStrictEqual(JSON.parse(lines[0]), {
+        type: 'poll',
+        time: '1970-01-01T00:00:00.000Z',
+        changes: [
+          { context: 'continuous-integration/jenkins', state: 'success' },
+          { context: 'mighty_readme', state: 'pending' },
+        ],
+        pending: {
+          statuses: 0,
+          statuses_total: 1,
+          checks: 1,
+          checks_total: 1,
+        },
+      });
+      assert.deepStrictEqual(JSON.parse(lines[1]), {
+        type: 'poll',
+        time: '1970-01-01T00:00:04.000Z',
+        changes: [
+          {
+            context: 'mighty_readme',
+            state: 'failure',
+            previous_state: 'pending',
+          },
+        ],
+        pending: {
+          statuses: 0,
+          statuses_total: 1,
+          checks: 0,
+          checks_total: 1,
+        },
+      });
+      /* eslint-enable camelcase */
+      const resultJson = JSON.parse(lines[2]);
+      assert.strictEqual(resultJson.type, 'result');
+      assert.strictEqual(resultJson.owner, testOwner);
+      assert.strictEqual(resultJson.repo, testRepo);
+      assert.strictEqual(resultJson.sha, testRef);
+      assert.strictEqual(resultJson.state, 'failure');
+      assert.strictEqual(resultJson.exit_code, 1);
+      assert.strictEqual(resultJson.statuses.length, 2);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('does not pass onPoll with verbosity=-1', async () => {
+      testOptions.verbosity = -1;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ onPoll: undefined }),
+      );
+      assert.strictEqual(testOptions.stdout.read(), null);
+    });
+  });
+
+  describe('with output=markdown', () => {
+    beforeEach(() => { testOptions.output = 'markdown'; });
+
+    it('prints Markdown table and verdict', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('failure').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const output = testOptions.stdout.read();
+      assert.match(output, /^\| State \| Context \| Duration \|$/m);
+      assert.match(
+        output,
+        /^\| ✅ success \| \[continuous-integration\/jenkins\]\(/m,
+      );
+      assert.match(output, /^\| ❌ failure \| \[mighty\\_readme\]\(/m);
+      assert.match(output, /^❌ \*\*failure\*\* for owner\/repo@/m);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+  });
+
+  describe('with multiple refs', () => {
+    const testRefs = ['main', 'v1.0.0'];
+    const testSha2 = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+
+    beforeEach(() => {
+      resolveCommit.withArgs('main').returns(testRef);
+      resolveCommit.withArgs('v1.0.0').returns(testSha2);
+      fetchCiStatus.withArgs(match({ ref: testRef })).resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      fetchCiStatus.withArgs(match({ ref: testSha2 })).resolves([
+        makeCombinedStatus('pending').data,
+        makeCheckRuns('failure').data,
+      ]);
+    });
+
+    it('prints ref and state for each ref', async () => {
+      const result = await hubCiStatus(testRefs, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'main\tsuccess\nv1.0.0\tfailure\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+      sinon.assert.calledOnce(getProjectName);
+      sinon.assert.calledTwice(resolveCommit);
+      sinon.assert.calledTwice(fetchCiStatus);
+    });
+
+    it('exits with worst exit code', async () => {
+      fetchCiStatus.withArgs(match({ ref: testSha2 })).resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(testRefs, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'main\tsuccess\nv1.0.0\tno status\n',
+      );
+      assert.strictEqual(result, 3);
+    });
+
+    it('prints table of statuses for each ref with verbosity=1', async () => {
+      await hubCiStatus(testRefs, { ...testOptions, verbosity: 1 });
+      const output = testOptions.stdout.read();
+      assert.match(output, /^main:\n✔︎\t/);
+      assert.match(output, /\n\nv1\.0\.0:\n●\t/);
+    });
+
+    it('prints JSON Array of results with ref for output=json', async () => {
+      await hubCiStatus(testRefs, { ...testOptions, output: 'json' });
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.ok(Array.isArray(output));
+      assert.deepStrictEqual(
+        output.map(({ ref, sha, state }) => ({ ref, sha, state })),
+        [
+          { ref: 'main', sha: testRef, state: 'success' },
+          { ref: 'v1.0.0', sha: testSha2, state: 'failure' },
+        ],
+      );
+    });
+
+    it('prints TAP subtest for each ref for output=tap', async () => {
+      await hubCiStatus(testRefs, { ...testOptions, output: 'tap' });
+      const output = testOptions.stdout.read();
+      assert.match(output, /^TAP version 14\n1\.\.2\n# Subtest: main\n/);
+      assert.match(output, /^ok 1 - main$/m);
+      assert.match(output, /^not ok 2 - v1\.0\.0$/m);
+    });
+
+    it('does not fetch status if any ref can not be resolved', async () => {
+      const errTest = new Error('test');
+      resolveCommit.withArgs('v1.0.0').rejects(errTest);
+      await assert.rejects(
+        () => hubCiStatus(testRefs, { ...testOptions, wait: {} }),
+        errTest,
+      );
+      sinon.assert.notCalled(fetchCiStatus);
+    });
+
+    it('aborts waiting for other refs when one fails', async () => {
+      const errTest = new Error('test');
+      let waitSignal;
+      fetchCiStatus.withArgs(match({ ref: testRef })).callsFake(
+        (params, { signal }) => new Promise((resolve, reject) => {
+          waitSignal = signal;
+          signal.addEventListener('abort', () => reject(signal.reason));
+        }),
+      );
+      fetchCiStatus.withArgs(match({ ref: testSha2 })).rejects(errTest);
+      await assert.rejects(
+        () => hubCiStatus(testRefs, { ...testOptions, wait: {} }),
+        errTest,
+      );
+      sinon.assert.calledTwice(fetchCiStatus);
+      assert.ok(waitSignal.aborted);
+      assert.strictEqual(waitSignal.reason, errTest);
+    });
+
+    it('aborts waiting for all refs when signal is aborted', async () => {
+      const controller = new AbortController();
+      const waitSignals = [];
+      for (const ref of [testRef, testSha2]) {
+        fetchCiStatus.withArgs(match({ ref })).callsFake(
+          (params, { signal }) => new Promise((resolve, reject) => {
+            waitSignals.push(signal);
+            signal.addEventListener('abort', () => reject(signal.reason));
+          }),
+        );
       }
+      const result = hubCiStatus(testRefs, {
+        ...testOptions,
+        signal: controller.signal,
+        wait: {},
+      });
+      const errTest = new Error('test');
+      await setImmediateP();
+      controller.abort(errTest);
+      await assert.rejects(() => result, errTest);
+      assert.strictEqual(waitSignals.length, 2);
+      assert.ok(waitSignals.every((signal) => signal.aborted));
+    });
+
+    it('throws TypeError with pullNumber', async () => {
+      await assert.rejects(
+        () => hubCiStatus(testRefs, { ...testOptions, pullNumber: 1 }),
+        TypeError,
+      );
+    });
+
+    it('throws Error for empty Array', async () => {
+      await assert.rejects(
+        () => hubCiStatus([], testOptions),
+        /\bNo refs\b/,
+      );
+    });
+  });
+
+  describe('with refsFromStdin', () => {
+    it('reads refs from stdin, one per line', async () => {
+      const stdin = new PassThrough();
+      stdin.end('main\n\n  v1.0.0  \r\n');
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        refsFromStdin: true,
+        stdin,
+      });
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'main\tsuccess\nv1.0.0\tsuccess\n',
+      );
+      assert.strictEqual(result, 0);
+      const matchGitOptions = match({ signal: match.instanceOf(AbortSignal) });
+      sinon.assert.calledWithExactly(resolveCommit, 'main', matchGitOptions);
+      sinon.assert.calledWithExactly(resolveCommit, 'v1.0.0', matchGitOptions);
+    });
+
+    it('throws Error if no refs are read', async () => {
+      const stdin = new PassThrough();
+      stdin.end('\n');
+      await assert.rejects(
+        () => hubCiStatus(undefined, {
+          ...testOptions,
+          refsFromStdin: true,
+          stdin,
+        }),
+        /\bNo refs\b/,
+      );
+      sinon.assert.notCalled(fetchCiStatus);
+    });
+  });
+
+  describe('with summaryFile', () => {
+    let tempFile;
+    beforeEach(async () => {
+      tempFile = await makeTempFile();
+      testOptions.summaryFile = tempFile.path;
+    });
+    afterEach(() => tempFile.cleanup());
+
+    it('appends Markdown table to file', async () => {
+      await writeFile(tempFile.path, '# Previous Step\n');
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const summary = await readFile(tempFile.path, { encoding: 'utf8' });
+      assert.match(summary, /^# Previous Step\n\| State \| Context /);
+      assert.match(summary, /^✅ \*\*success\*\* for owner\/repo@/m);
+      assert.strictEqual(testOptions.stdout.read(), 'success\n');
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 0);
+    });
+  });
+
+  describe('with output=tap', () => {
+    beforeEach(() => { testOptions.output = 'tap'; });
+
+    it('prints a TAP test point for each status', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('in_progress').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const output = testOptions.stdout.read();
+      assert.match(output, /^TAP version 14\n1\.\.2\n/);
+      assert.match(output, /^ok 1 - continuous-integration\/jenkins$/m);
+      assert.match(output, /^not ok 2 - mighty_readme # TODO pending$/m);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 2);
+    });
+
+    it('does not print with verbosity=-1', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        verbosity: -1,
+      });
+      assert.strictEqual(testOptions.stdout.read(), null);
     });
   });
 
@@ -421,5 +1711,18 @@ describe('hubCiStatus', () => {
       );
       assert.strictEqual(testOptions.stderr.read(), `DEBUG: ${testMsg}\n`);
     });
+
+    it('prints check run names from workflows to stderr', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+      ]);
+      getPushCheckRunNames.resolves(['mighty_readme']);
+      await hubCiStatus(undefined, { ...testOptions, expectWorkflows: true });
+      assert.strictEqual(
+        testOptions.stderr.read(),
+        'DEBUG: Expected checks from workflows: mighty_readme\n',
+      );
+    });
   });
 });
@@ -0,0 +1,99 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import {
+  isContextIncluded,
+  parseContextPattern,
+} from '../../lib/context-filter.js';
+
+describe('parseContextPattern', () => {
+  it('parses glob matching entire context', () => {
+    const pattern = parseContextPattern('ci/*');
+    assert.ok(pattern.test('ci/build'));
+    assert.ok(pattern.test('ci/'));
+    assert.ok(!pattern.test('other/ci/build'));
+  });
+
+  it('parses glob with * matching /', () => {
+    const pattern = parseContextPattern('*/deploy');
+    assert.ok(pattern.test('ci/preview/deploy'));
+    assert.ok(!pattern.test('ci/deploy/other'));
+  });
+
+  it('parses glob with ? matching single character', () => {
+    const pattern = parseContextPattern('test (?)');
+    assert.ok(pattern.test('test (1)'));
+    assert.ok(!pattern.test('test (10)'));
+  });
+
+  it('parses glob with regular expression special characters', () => {
+    const pattern = parseContextPattern('test (node.js 22)');
+    assert.ok(pattern.test('test (node.js 22)'));
+    assert.ok(!pattern.test('test (nodexjs 22)'));
+  });
+
+  it('parses glob with escaped wildcards', () => {
+    const pattern = parseContextPattern(String.raw`a\*b\?`);
+    assert.ok(pattern.test('a*b?'));
+    assert.ok(!pattern.test('axbx'));
+  });
+
+  it('parses /regex/', () => {
+    const pattern = parseContextPattern('/^ci/');
+    assert.ok(pattern.test('ci/build'));
+    assert.ok(!pattern.test('CI/build'));
+    assert.ok(!pattern.test('other/ci'));
+  });
+
+  it('parses /regex/ with flags', () => {
+    const pattern = parseContextPattern('/coverage/i');
+    assert.ok(pattern.test('codecov/Coverage'));
+  });
+
+  it('throws SyntaxError for invalid /regex/', () => {
+    assert.throws(
+      () => parseContextPattern('/(/'),
+      SyntaxError,
+    );
+  });
+});
+
+describe('isContextIncluded', () => {
+  it('includes all contexts without patterns', () => {
+    assert.ok(isContextIncluded('ci', {}));
+    assert.ok(isContextIncluded('ci', { contexts: [], excludeContexts: [] }));
+  });
+
+  it('includes contexts matching any of contexts', () => {
+    const contexts = [/^a$/, /^b$/];
+    assert.ok(isContextIncluded('a', { contexts }));
+    assert.ok(isContextIncluded('b', { contexts }));
+    assert.ok(!isContextIncluded('c', { contexts }));
+  });
+
+  it('excludes contexts matching any of excludeContexts', () => {
+    const excludeContexts = [/^a$/, /^b$/];
+    assert.ok(!isContextIncluded('a', { excludeContexts }));
+    assert.ok(!isContextIncluded('b', { excludeContexts }));
+    assert.ok(isContextIncluded('c', { excludeContexts }));
+  });
+
+  it('excludes contexts matching both contexts and excludeContexts', () => {
+    const options = {
+      contexts: [/^ci\//],
+      excludeContexts: [/coverage/],
+    };
+    assert.ok(isContextIncluded('ci/build', options));
+    assert.ok(!isContextIncluded('ci/coverage', options));
+  });
+
+  it('matches consistently with global patterns', () => {
+    const options = { contexts: [/ci/g] };
+    assert.ok(isContextIncluded('ci', options));
+    assert.ok(isContextIncluded('ci', options));
+  });
+});
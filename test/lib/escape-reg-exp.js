@@ -0,0 +1,32 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import escapeRegExp from '../../lib/escape-reg-exp.js';
+
+describe('escapeRegExp', () => {
+  const special = String.raw`$()*+.?[\]^{|}`;
+
+  it('escapes each special character', () => {
+    assert.strictEqual(
+      escapeRegExp(special),
+      String.raw`\$\(\)\*\+\.\?\[\\\]\^\{\|\}`,
+    );
+  });
+
+  it('does not escape other characters', () => {
+    assert.strictEqual(escapeRegExp('a-b/c d_1'), 'a-b/c d_1');
+  });
+
+  for (const flags of ['', 'u']) {
+    it(`matches string literally with flags '${flags}'`, () => {
+      const str = `a${special}b`;
+      const regexp = new RegExp(`^${escapeRegExp(str)}$`, flags);
+      assert.ok(regexp.test(str));
+      assert.ok(!regexp.test('ab'));
+    });
+  }
+});
@@ -138,6 +138,17 @@ describe('execFileOut', () => {
     );
   });
 
+  it('rejects with AbortError and kills process on abort', async () => {
+    const abortController = new AbortController();
+    const testArgs = ['-e', 'setTimeout(() => {}, 60000)'];
+    const promise =
+      execFileOut(process.execPath, testArgs, {
+        signal: abortController.signal,
+      });
+    abortController.abort();
+    await assert.rejects(promise, { name: 'AbortError' });
+  });
+
   // Note: use node (i.e. process.execPath) to test, since it will not exit
   // until it reaches the end of stdin.
   it('closes stdin to prevent hanging', () => execFileOut(process.execPath));
@@ -0,0 +1,206 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import fetchCiStatusGraphql from '../../lib/fetch-ci-status-graphql.js';
+
+/* eslint-disable camelcase */
+
+const { match } = sinon;
+
+const apiArgs = {
+  owner: 'owner',
+  repo: 'repo',
+  ref: 'ref',
+};
+const testSha = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+
+const statusContextNode = {
+  typename: 'StatusContext',
+  avatar_url: 'https://example.com/avatar.png',
+  context: 'ci/example',
+  created_at: '2026-01-02T03:04:05Z',
+  description: 'Build succeeded',
+  state: 'SUCCESS',
+  target_url: 'https://ci.example.com/1',
+};
+const checkRunNode = {
+  typename: 'CheckRun',
+  checkSuite: {
+    app: {
+      id: 15368,
+      name: 'GitHub Actions',
+      slug: 'github-actions',
+    },
+  },
+  completed_at: null,
+  conclusion: null,
+  details_url: 'https://example.com/details',
+  html_url: 'https://github.com/owner/repo/runs/1',
+  name: 'test',
+  started_at: '2026-01-02T03:04:05Z',
+  status: 'IN_PROGRESS',
+  summary: null,
+  title: null,
+};
+
+function makeResponse(nodes, pageInfo, counts) {
+  return {
+    repository: {
+      object: {
+        oid: testSha,
+        statusCheckRollup: {
+          contexts: {
+            checkRunCount: counts ? counts.checkRunCount
+              : nodes.filter((n) => n.typename === 'CheckRun').length,
+            statusContextCount: counts ? counts.statusContextCount
+              : nodes.filter((n) => n.typename === 'StatusContext').length,
+            pageInfo: pageInfo || {
+              endCursor: 'cursor1',
+              hasNextPage: false,
+            },
+            nodes,
+          },
+        },
+      },
+    },
+  };
+}
+
+describe('fetchCiStatusGraphql', () => {
+  it('converts statusCheckRollup to REST-like responses', async () => {
+    const graphql = sinon.stub()
+      .resolves(makeResponse([statusContextNode, checkRunNode]));
+    const result = await fetchCiStatusGraphql({ graphql }, apiArgs);
+    sinon.assert.calledOnceWithExactly(graphql, match.string, {
+      ...apiArgs,
+      first: 100,
+      after: undefined,
+    });
+    assert.deepStrictEqual(result, [
+      {
+        sha: testSha,
+        statuses: [
+          {
+            avatar_url: statusContextNode.avatar_url,
+            context: statusContextNode.context,
+            created_at: statusContextNode.created_at,
+            description: statusContextNode.description,
+            state: 'success',
+            target_url: statusContextNode.target_url,
+          },
+        ],
+        total_count: 1,
+      },
+      {
+        check_runs: [
+          {
+            app: checkRunNode.checkSuite.app,
+            completed_at: null,
+            conclusion: null,
+            details_url: checkRunNode.details_url,
+            html_url: checkRunNode.html_url,
+            name: checkRunNode.name,
+            output: {
+              summary: null,
+              title: null,
+            },
+            started_at: checkRunNode.started_at,
+            status: 'in_progress',
+          },
+        ],
+        total_count: 1,
+      },
+    ]);
+  });
+
+  it('converts EXPECTED status context to pending', async () => {
+    const graphql = sinon.stub().resolves(makeResponse([
+      { ...statusContextNode, state: 'EXPECTED' },
+    ]));
+    const [combinedStatus] = await fetchCiStatusGraphql({ graphql }, apiArgs);
+    assert.strictEqual(combinedStatus.statuses[0].state, 'pending');
+  });
+
+  it('fetches subsequent pages using endCursor', async () => {
+    const counts = { checkRunCount: 1, statusContextCount: 1 };
+    const graphql = sinon.stub();
+    graphql.onCall(0).resolves(makeResponse(
+      [statusContextNode],
+      { endCursor: 'cursor1', hasNextPage: true },
+      counts,
+    ));
+    graphql.onCall(1).resolves(makeResponse(
+      [checkRunNode],
+      { endCursor: 'cursor2', hasNextPage: false },
+      counts,
+    ));
+    const [combinedStatus, checkRuns] =
+      await fetchCiStatusGraphql({ graphql }, apiArgs);
+    sinon.assert.callCount(graphql, 2);
+    sinon.assert.calledWithExactly(graphql.getCall(1), match.string, {
+      ...apiArgs,
+      first: 100,
+      after: 'cursor1',
+    });
+    assert.strictEqual(combinedStatus.statuses.length, 1);
+    assert.strictEqual(checkRuns.check_runs.length, 1);
+  });
+
+  it('returns empty lists for commit without statusCheckRollup', async () => {
+    const graphql = sinon.stub().resolves({
+      repository: {
+        object: {
+          oid: testSha,
+          statusCheckRollup: null,
+        },
+      },
+    });
+    const result = await fetchCiStatusGraphql({ graphql }, apiArgs);
+    assert.deepStrictEqual(result, [
+      { sha: testSha, statuses: [], total_count: 0 },
+      { check_runs: [], total_count: 0 },
+    ]);
+  });
+
+  it('rejects if ref is not a commit', async () => {
+    const graphql = sinon.stub().resolves({
+      repository: {
+        object: null,
+      },
+    });
+    await assert.rejects(
+      () => fetchCiStatusGraphql({ graphql }, apiArgs),
+      /^Error: Unable to resolve 'ref' to a commit using GraphQL\.$/,
+    );
+  });
+
+  it('calls onRateLimit with rateLimit of each response', async () => {
+    const rateLimit = {
+      limit: 5000,
+      remaining: 4990,
+      resetAt: '2026-01-02T04:00:00Z',
+    };
+    const graphql = sinon.stub().resolves({
+      ...makeResponse([statusContextNode]),
+      rateLimit,
+    });
+    const onRateLimit = sinon.stub();
+    await fetchCiStatusGraphql({ graphql }, apiArgs, { onRateLimit });
+    sinon.assert.calledOnceWithExactly(onRateLimit, rateLimit);
+  });
+
+  it('rejects with graphql errors', async () => {
+    const errTest = new Error('test');
+    const graphql = sinon.stub().rejects(errTest);
+    await assert.rejects(
+      () => fetchCiStatusGraphql({ graphql }, apiArgs),
+      errTest,
+    );
+  });
+});
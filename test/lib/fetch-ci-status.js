@@ -30,6 +30,71 @@ const timeOptions = {
   setTimeout: promisify(clock.setTimeout),
 };
 
+function withTotalCount(response, totalCount) {
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      total_count: totalCount, // eslint-disable-line camelcase
+    },
+  };
+}
+
+function withHeaders(response, headers) {
+  return {
+    ...response,
+    headers: {
+      ...response.headers,
+      ...headers,
+    },
+  };
+}
+
+function makeError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function notModified() {
+  return makeError('Not Modified', 304);
+}
+
+// Makes the check run at index a GitHub Actions job in workflow run 123
+function withActionsJob(response, index, name) {
+  const checkRuns = [...response.data.check_runs];
+  checkRuns[index] = {
+    ...checkRuns[index],
+    // eslint-disable-next-line camelcase
+    details_url: 'https://github.com/owner/repo/actions/runs/123/job/456',
+    name,
+  };
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      check_runs: checkRuns, // eslint-disable-line camelcase
+    },
+  };
+}
+
+// Branch with branch protection requiring the mighty_readme check run
+function getBranchRequiringCheckRun() {
+  /* eslint-disable camelcase */
+  return sinon.stub().resolves({
+    data: {
+      name: 'main',
+      protection: {
+        enabled: true,
+        required_status_checks: {
+          checks: [{ context: 'mighty_readme', app_id: 1 }],
+        },
+      },
+    },
+  });
+  /* eslint-enable camelcase */
+}
+
 function neverCalled() {
   throw new Error('should not be called');
 }
@@ -39,6 +104,11 @@ const apiArgs = {
   repo: 'repo',
   ref: 'ref',
 };
+const pageArgs = {
+  ...apiArgs,
+  per_page: 100, // eslint-disable-line camelcase
+  page: 1,
+};
 
 describe('fetchCiStatus', () => {
   beforeEach(() => clock.reset());
@@ -55,8 +125,8 @@ describe('fetchCiStatus', () => {
       },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
@@ -75,8 +145,8 @@ describe('fetchCiStatus', () => {
       },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
@@ -95,8 +165,8 @@ describe('fetchCiStatus', () => {
       },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
@@ -115,8 +185,8 @@ describe('fetchCiStatus', () => {
       },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
@@ -141,8 +211,8 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
@@ -168,8 +238,8 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
@@ -195,8 +265,8 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
@@ -222,12 +292,86 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  for (const checkStatus of ['waiting', 'requested', 'pending']) {
+    it(`retries on success/${checkStatus} up to maxTotalMs`, async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns(checkStatus);
+      const listForRef = sinon.stub().resolves(checks);
+      const waitMs = 4000;
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledTwice(listForRef);
+    });
+  }
+
+  it('retries on pending/skipped up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('skipped');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
 
+  for (const conclusion of ['stale', 'startup_failure']) {
+    it(`does not retry on pending/${conclusion}, by default`, async () => {
+      const status = makeCombinedStatus('pending');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns(conclusion);
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+      sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+  }
+
   it('does not retry on pending/failure, by default', async () => {
     const status = makeCombinedStatus('pending');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
@@ -243,8 +387,8 @@ describe('fetchCiStatus', () => {
       },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
@@ -270,8 +414,8 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
@@ -298,12 +442,1630 @@ describe('fetchCiStatus', () => {
 
     clock.tick(waitMs);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+    sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+    sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
 
+  it('fetches all pages of statuses and check runs', async () => {
+    const fullPage = Array.from({ length: 100 }, () => 'success');
+    const status1 = makeCombinedStatus(...fullPage);
+    const status2 = makeCombinedStatus('failure');
+    const getCombinedStatusForRef = sinon.stub();
+    getCombinedStatusForRef.onCall(0).resolves(withTotalCount(status1, 101));
+    getCombinedStatusForRef.onCall(1).resolves(status2);
+    const checks1 = makeCheckRuns(...fullPage);
+    const checks2 = makeCheckRuns(...fullPage);
+    const checks3 = makeCheckRuns('failure');
+    const listForRef = sinon.stub();
+    listForRef.onCall(0).resolves(withTotalCount(checks1, 201));
+    listForRef.onCall(1).resolves(checks2);
+    listForRef.onCall(2).resolves(checks3);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const [combinedStatus, checksList] = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledWithExactly(
+      getCombinedStatusForRef,
+      { ...pageArgs, page: 2 },
+    );
+    sinon.assert.calledThrice(listForRef);
+    sinon.assert.calledWithExactly(listForRef, pageArgs);
+    sinon.assert.calledWithExactly(listForRef, { ...pageArgs, page: 2 });
+    sinon.assert.calledWithExactly(listForRef, { ...pageArgs, page: 3 });
+    assert.strictEqual(combinedStatus.total_count, 101);
+    assert.deepStrictEqual(
+      combinedStatus.statuses,
+      [...status1.data.statuses, ...status2.data.statuses],
+    );
+    assert.strictEqual(checksList.total_count, 201);
+    assert.deepStrictEqual(
+      checksList.check_runs,
+      [
+        ...checks1.data.check_runs,
+        ...checks2.data.check_runs,
+        ...checks3.data.check_runs,
+      ],
+    );
+  });
+
+  it('stops fetching pages when a page is not full', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef =
+      sinon.stub().resolves(withTotalCount(status, 3));
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+    };
+    const [combinedStatus] = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, pageArgs);
+    assert.deepStrictEqual(combinedStatus.statuses, status.data.statuses);
+  });
+
+  describe('with options.resolveRef', () => {
+    const testSha = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+    const shaArgs = { ...pageArgs, ref: testSha };
+
+    it('resolves ref using API before fetching', async () => {
+      const getCommit = sinon.stub().resolves({ data: testSha });
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef, getCommit },
+        },
+        resolveRef: true,
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(getCommit, {
+        ...apiArgs,
+        mediaType: { format: 'sha' },
+      });
+      sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, shaArgs);
+      sinon.assert.calledOnceWithExactly(listForRef, shaArgs);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('resolves ref once when retrying', async () => {
+      const getCommit = sinon.stub().resolves({ data: testSha });
+      const status = makeCombinedStatus('pending');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns();
+      const listForRef = sinon.stub().resolves(checks);
+      const waitMs = 4000;
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef, getCommit },
+        },
+        resolveRef: true,
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      for (let i = 0; i < 3; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await setImmediateP();
+      }
+
+      clock.tick(waitMs);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledOnce(getCommit);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, shaArgs);
+      sinon.assert.alwaysCalledWithMatch(listForRef, shaArgs);
+    });
+
+    it('rejects with ref in message if ref can not be resolved', async () => {
+      const errTest = new Error('No commit found for SHA: ref');
+      const getCommit = sinon.stub().rejects(errTest);
+      const getCombinedStatusForRef = sinon.stub();
+      const listForRef = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef, getCommit },
+        },
+        resolveRef: true,
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        /^Error: Unable to resolve 'ref' to a commit hash: No commit found/,
+      );
+      sinon.assert.notCalled(getCombinedStatusForRef);
+      sinon.assert.notCalled(listForRef);
+    });
+  });
+
+  describe('with options.pullNumber', () => {
+    const testSha = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+    const shaArgs = { ...pageArgs, ref: testSha };
+    const pullArgs = {
+      owner: apiArgs.owner,
+      repo: apiArgs.repo,
+      pull_number: 1234, // eslint-disable-line camelcase
+    };
+
+    it('fetches status for head of pull request', async () => {
+      const pullsGet = sinon.stub().resolves({
+        data: {
+          number: 1234,
+          head: {
+            ref: 'feature',
+            sha: testSha,
+            repo: {
+              full_name: 'Owner/Repo', // eslint-disable-line camelcase
+              name: 'Repo',
+              owner: { login: 'Owner' },
+            },
+          },
+        },
+      });
+      const getCommit = sinon.stub();
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          pulls: { get: pullsGet },
+          repos: { getCombinedStatusForRef, getCommit },
+        },
+        pullNumber: 1234,
+        resolveRef: true,
+      };
+      const { ref, ...ownerRepo } = apiArgs;
+      const result = await fetchCiStatus(ownerRepo, options);
+      sinon.assert.calledOnceWithExactly(pullsGet, pullArgs);
+      sinon.assert.notCalled(getCommit);
+      sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, shaArgs);
+      sinon.assert.calledOnceWithExactly(listForRef, shaArgs);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('fetches status for head of pull request from fork', async () => {
+      const pullsGet = sinon.stub().resolves({
+        data: {
+          number: 1234,
+          head: {
+            ref: 'feature',
+            sha: testSha,
+            repo: {
+              full_name: 'fork/repo', // eslint-disable-line camelcase
+              name: 'repo',
+              owner: { login: 'fork' },
+            },
+          },
+        },
+      });
+      const forkArgs = { ...shaArgs, owner: 'fork' };
+      const status = makeCombinedStatus('success');
+      const forkStatus = makeCombinedStatus('failure');
+      const getCombinedStatusForRef = sinon.stub();
+      getCombinedStatusForRef.withArgs(shaArgs).resolves(status);
+      getCombinedStatusForRef.withArgs(forkArgs).resolves(forkStatus);
+      const checks = makeCheckRuns('success');
+      const forkChecks = makeCheckRuns('failure');
+      const listForRef = sinon.stub();
+      listForRef.withArgs(shaArgs).resolves(checks);
+      listForRef.withArgs(forkArgs).resolves(forkChecks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          pulls: { get: pullsGet },
+          repos: { getCombinedStatusForRef },
+        },
+        pullNumber: 1234,
+      };
+      const { ref, ...ownerRepo } = apiArgs;
+      const result = await fetchCiStatus(ownerRepo, options);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledWithExactly(getCombinedStatusForRef, shaArgs);
+      sinon.assert.calledWithExactly(getCombinedStatusForRef, forkArgs);
+      sinon.assert.calledTwice(listForRef);
+      sinon.assert.calledWithExactly(listForRef, shaArgs);
+      sinon.assert.calledWithExactly(listForRef, forkArgs);
+      /* eslint-disable camelcase */
+      assert.deepStrictEqual(result, [
+        {
+          ...status.data,
+          statuses: [...status.data.statuses, ...forkStatus.data.statuses],
+          total_count: status.data.total_count + forkStatus.data.total_count,
+        },
+        {
+          ...checks.data,
+          check_runs: [
+            ...checks.data.check_runs,
+            ...forkChecks.data.check_runs,
+          ],
+          total_count: checks.data.total_count + forkChecks.data.total_count,
+        },
+      ]);
+      /* eslint-enable camelcase */
+    });
+
+    it('fetches status only from base if head repo was deleted', async () => {
+      const pullsGet = sinon.stub().resolves({
+        data: {
+          number: 1234,
+          head: {
+            ref: 'feature',
+            sha: testSha,
+            repo: null,
+          },
+        },
+      });
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          pulls: { get: pullsGet },
+          repos: { getCombinedStatusForRef },
+        },
+        pullNumber: 1234,
+      };
+      const { ref, ...ownerRepo } = apiArgs;
+      const result = await fetchCiStatus(ownerRepo, options);
+      sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, shaArgs);
+      sinon.assert.calledOnceWithExactly(listForRef, shaArgs);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('rejects with number in message if pull not found', async () => {
+      const pullsGet = sinon.stub().rejects(new Error('Not Found'));
+      const getCombinedStatusForRef = sinon.stub();
+      const listForRef = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          pulls: { get: pullsGet },
+          repos: { getCombinedStatusForRef },
+        },
+        pullNumber: 1234,
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        /^Error: Unable to get head of pull request #1234: Not Found$/,
+      );
+      sinon.assert.notCalled(getCombinedStatusForRef);
+      sinon.assert.notCalled(listForRef);
+    });
+  });
+
+  describe('with options.required', () => {
+    const branchArgs = {
+      owner: apiArgs.owner,
+      repo: apiArgs.repo,
+      branch: 'main',
+    };
+
+    it('returns required checks for base of pull request', async () => {
+      const testSha = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+      const pullsGet = sinon.stub().resolves({
+        data: {
+          number: 1234,
+          base: { ref: 'main' },
+          head: { ref: 'feature', sha: testSha },
+        },
+      });
+      const getBranch = getBranchRequiringCheckRun();
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const status = makeCombinedStatus('failure');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          pulls: { get: pullsGet },
+          repos: { getBranch, getBranchRules, getCombinedStatusForRef },
+        },
+        pullNumber: 1234,
+        required: true,
+      };
+      const { ref, ...ownerRepo } = apiArgs;
+      const [combinedStatus, checksList] =
+        await fetchCiStatus(ownerRepo, options);
+      sinon.assert.calledOnceWithExactly(getBranch, branchArgs);
+      sinon.assert.calledOnceWithMatch(getBranchRules, branchArgs);
+      assert.deepStrictEqual(combinedStatus.statuses, []);
+      assert.deepStrictEqual(checksList, checks.data);
+    });
+
+    it('uses default branch of repository for ref', async () => {
+      const repoGet = sinon.stub().resolves({
+        data: { default_branch: 'main' }, // eslint-disable-line camelcase
+      });
+      const getBranch = getBranchRequiringCheckRun();
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus('success'));
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: {
+            get: repoGet,
+            getBranch,
+            getBranchRules,
+            getCombinedStatusForRef,
+          },
+        },
+        required: true,
+      };
+      await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(repoGet, {
+        owner: apiArgs.owner,
+        repo: apiArgs.repo,
+      });
+      sinon.assert.calledOnceWithExactly(getBranch, branchArgs);
+    });
+
+    it('uses branch named by required', async () => {
+      const getBranch = getBranchRequiringCheckRun();
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus('success'));
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: {
+            get: neverCalled,
+            getBranch,
+            getBranchRules,
+            getCombinedStatusForRef,
+          },
+        },
+        required: 'release',
+      };
+      await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(getBranch, {
+        ...branchArgs,
+        branch: 'release',
+      });
+    });
+
+    it('retries while required check has not been reported', async () => {
+      const getBranch = getBranchRequiringCheckRun();
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub();
+      listForRef.onCall(0).resolves(makeCheckRuns());
+      listForRef.onCall(1).resolves(checks);
+      const onPoll = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getBranchRules, getCombinedStatusForRef },
+        },
+        onPoll,
+        required: 'main',
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      for (let i = 0; i < 5; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await setImmediateP();
+      }
+
+      sinon.assert.calledOnce(listForRef);
+      assert.deepStrictEqual(onPoll.getCall(0).args[0][0].statuses, [
+        {
+          context: 'mighty_readme',
+          description: 'Expected — Waiting for status to be reported',
+          state: 'pending',
+        },
+      ]);
+      clock.tick(4000);
+      const [combinedStatus, checksList] = await result;
+      assert.deepStrictEqual(combinedStatus.statuses, []);
+      assert.deepStrictEqual(checksList, checks.data);
+      sinon.assert.calledTwice(listForRef);
+    });
+
+    it('does not retry if no checks are required', async () => {
+      const getBranch = sinon.stub().resolves({
+        data: { name: 'main', protection: { enabled: false } },
+      });
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus('pending'));
+      const listForRef = sinon.stub().resolves(makeCheckRuns('in_progress'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getBranchRules, getCombinedStatusForRef },
+        },
+        required: 'main',
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const [combinedStatus, checksList] =
+        await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(combinedStatus.statuses, []);
+      assert.deepStrictEqual(checksList.check_runs, []);
+    });
+
+    it('rejects with branch in message if branch not found', async () => {
+      const getBranch = sinon.stub().rejects(new Error('Branch not found'));
+      const getBranchRules = sinon.stub().resolves({ data: [] });
+      const getCombinedStatusForRef = sinon.stub();
+      const listForRef = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getBranchRules, getCombinedStatusForRef },
+        },
+        required: 'nope',
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        /^Error: Unable to get required checks for 'nope': Branch not found$/,
+      );
+      sinon.assert.notCalled(getCombinedStatusForRef);
+      sinon.assert.notCalled(listForRef);
+    });
+  });
+
+  describe('with ETag', () => {
+    it('sends If-None-Match with ETag of previous response', async () => {
+      const status = makeCombinedStatus('success');
+      const etag = 'W/"status1"';
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).resolves({
+          ...makeCombinedStatus('pending'),
+          headers: { etag },
+        });
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledWithExactly(
+        getCombinedStatusForRef.getCall(0),
+        pageArgs,
+      );
+      sinon.assert.calledWithExactly(
+        getCombinedStatusForRef.getCall(1),
+        { ...pageArgs, headers: { 'if-none-match': etag } },
+      );
+    });
+
+    it('reuses previous response on 304 Not Modified', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().rejects(notModified())
+        .onCall(0).resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks)
+        .onCall(0).resolves(makeCheckRuns('in_progress'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledWithExactly(
+        getCombinedStatusForRef.getCall(1),
+        {
+          ...pageArgs,
+          headers: { 'if-none-match': status.headers.etag },
+        },
+      );
+    });
+
+    it('rejects with 304 error without previous ETag', async () => {
+      const getCombinedStatusForRef = sinon.stub().rejects(notModified());
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        /^Error: Not Modified$/,
+      );
+    });
+  });
+
+  describe('with rate limit', () => {
+    it('increases wait to spread remaining requests until reset', async () => {
+      const debug = sinon.stub();
+      const status = makeCombinedStatus('success');
+      const date = new Date(0).toUTCString();
+      const rateLimitHeaders = {
+        date,
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '20',
+        'x-ratelimit-reset': '100',
+      };
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).resolves(withHeaders(
+          makeCombinedStatus('pending'),
+          rateLimitHeaders,
+        ));
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub()
+        .resolves(withHeaders(checks, rateLimitHeaders));
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledWith(
+        debug,
+        'Increasing wait from 4 to 10 seconds due to API rate limit.',
+      );
+
+      clock.tick(4000);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+
+      clock.tick(6000);
+      await result;
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('retries after Retry-After if rate limited while waiting', async () => {
+      const debug = sinon.stub();
+      const errRateLimit = new Error('secondary rate limit');
+      errRateLimit.status = 403;
+      errRateLimit.response = { headers: { 'retry-after': '60' } };
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0)
+        .resolves(makeCombinedStatus('pending'))
+        .onCall(1)
+        .rejects(errRateLimit);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const onPoll = sinon.stub();
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        onPoll,
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      await setImmediateP();
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledWith(debug, 'Rate limited: secondary rate limit');
+      sinon.assert.calledWith(
+        debug,
+        'Increasing wait from 8 to 60 seconds due to API rate limit.',
+      );
+
+      clock.tick(60000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledThrice(getCombinedStatusForRef);
+      // onPoll is not called for the rate limited poll
+      sinon.assert.calledTwice(onPoll);
+    });
+
+    it('retries after Retry-After if rate limited on first poll', async () => {
+      const errRateLimit = new Error('secondary rate limit');
+      errRateLimit.status = 403;
+      errRateLimit.response = { headers: { 'retry-after': '30' } };
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).rejects(errRateLimit);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+
+      clock.tick(29000);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+
+      clock.tick(1000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('retries after 1 minute if secondary rate limited', async () => {
+      const debug = sinon.stub();
+      const errRateLimit = new Error(
+        'You have exceeded a secondary rate limit.',
+      );
+      errRateLimit.status = 403;
+      errRateLimit.response = {
+        headers: { 'x-ratelimit-remaining': '50' },
+      };
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).rejects(errRateLimit);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+      sinon.assert.calledWith(
+        debug,
+        'Increasing wait from 4 to 60 seconds due to API rate limit.',
+      );
+
+      clock.tick(59000);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+
+      clock.tick(1000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('retries after 1 minute if 429 without Retry-After', async () => {
+      const errRateLimit = new Error('Too Many Requests');
+      errRateLimit.status = 429;
+      errRateLimit.response = { headers: {} };
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0)
+        .resolves(makeCombinedStatus('pending'))
+        .onCall(1)
+        .rejects(errRateLimit);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      await setImmediateP();
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+
+      clock.tick(59000);
+      await setImmediateP();
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+
+      clock.tick(1000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledThrice(getCombinedStatusForRef);
+    });
+
+    it('rejects if rate limited without options.retry', async () => {
+      const errRateLimit = new Error('rate limit');
+      errRateLimit.status = 429;
+      const getCombinedStatusForRef = sinon.stub().rejects(errRateLimit);
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        errRateLimit,
+      );
+    });
+  });
+
+  describe('with transient errors', () => {
+    it('retries after 5xx error while waiting', async () => {
+      const debug = sinon.stub();
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).rejects(makeError('Bad Gateway', 502));
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledWith(
+        debug,
+        'Retrying after transient error: Error: Bad Gateway',
+      );
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('retries after network error while waiting', async () => {
+      const status = makeCombinedStatus('success');
+      const errNetwork = makeError('read ECONNRESET');
+      errNetwork.code = 'ECONNRESET';
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).rejects(errNetwork);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+    });
+
+    it('rejects after 5 retries', async () => {
+      const errServer = makeError('Service Unavailable', 503);
+      const getCombinedStatusForRef = sinon.stub().rejects(errServer);
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          waitMs: 1000,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      const rejects = assert.rejects(() => result, errServer);
+      for (let i = 0; i < 5; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await setImmediateP();
+        clock.tick(1000);
+      }
+      await rejects;
+      sinon.assert.callCount(getCombinedStatusForRef, 6);
+    });
+
+    it('does not retry 404 error', async () => {
+      const errNotFound = makeError('Not Found', 404);
+      const getCombinedStatusForRef = sinon.stub().rejects(errNotFound);
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          setTimeout: neverCalled,
+        },
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        errNotFound,
+      );
+    });
+
+    it('does not retry 5xx error without retry', async () => {
+      const errServer = makeError('Bad Gateway', 502);
+      const getCombinedStatusForRef = sinon.stub().rejects(errServer);
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        errServer,
+      );
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+    });
+  });
+
+  describe('with options.graphql', () => {
+    const testSha = '6dcb09b5b57875f334f61aebed695e2e4193db5e';
+    function makeRollup(state) {
+      return {
+        repository: {
+          object: {
+            oid: testSha,
+            statusCheckRollup: {
+              contexts: {
+                checkRunCount: 0,
+                statusContextCount: 1,
+                pageInfo: { endCursor: 'cursor', hasNextPage: false },
+                nodes: [
+                  { typename: 'StatusContext', context: 'ci', state },
+                ],
+              },
+            },
+          },
+        },
+      };
+    }
+
+    it('fetches statuses and checks with a single query', async () => {
+      const graphql = sinon.stub().resolves(makeRollup('SUCCESS'));
+      const options = {
+        graphql: true,
+        octokit: {
+          checks: { listForRef: neverCalled },
+          graphql,
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnce(graphql);
+      /* eslint-disable camelcase */
+      assert.deepStrictEqual(result, [
+        {
+          sha: testSha,
+          statuses: [{ context: 'ci', state: 'success' }],
+          total_count: 1,
+        },
+        { check_runs: [], total_count: 0 },
+      ]);
+      /* eslint-enable camelcase */
+    });
+
+    it('retries pending statuses using graphql', async () => {
+      const graphql = sinon.stub().resolves(makeRollup('SUCCESS'))
+        .onCall(0).resolves(makeRollup('PENDING'));
+      const options = {
+        graphql: true,
+        octokit: {
+          checks: { listForRef: neverCalled },
+          graphql,
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledOnce(graphql);
+      clock.tick(4000);
+      const [combinedStatus] = await result;
+      sinon.assert.calledTwice(graphql);
+      assert.strictEqual(combinedStatus.statuses[0].state, 'success');
+    });
+
+    it('falls back to REST API if graphql query fails', async () => {
+      const graphql = sinon.stub().rejects(new Error('Forbidden'));
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status)
+        .onCall(0).resolves(makeCombinedStatus('pending'));
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const debug = sinon.stub();
+      const options = {
+        debug,
+        graphql: true,
+        octokit: {
+          checks: { listForRef },
+          graphql,
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledOnce(graphql);
+      sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, pageArgs);
+      sinon.assert.calledWith(
+        debug,
+        'GraphQL query failed, using REST API: Error: Forbidden',
+      );
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      // Does not retry graphql after failure
+      sinon.assert.calledOnce(graphql);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('increases wait to spread remaining graphql rate limit', async () => {
+      const debug = sinon.stub();
+      const rateLimit = {
+        limit: 5000,
+        remaining: 20,
+        resetAt: new Date(clock.Date.now() + 100000).toISOString(),
+      };
+      const graphql = sinon.stub()
+        .resolves({ ...makeRollup('SUCCESS'), rateLimit })
+        .onCall(0).resolves({ ...makeRollup('PENDING'), rateLimit });
+      const options = {
+        debug,
+        graphql: true,
+        octokit: {
+          checks: { listForRef: neverCalled },
+          graphql,
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      // 1 request per poll, 20 polls remaining in 100 seconds
+      sinon.assert.calledWith(
+        debug,
+        'Increasing wait from 4 to 5 seconds due to API rate limit.',
+      );
+
+      clock.tick(4000);
+      await setImmediateP();
+      sinon.assert.calledOnce(graphql);
+
+      clock.tick(1000);
+      await result;
+      sinon.assert.calledTwice(graphql);
+    });
+
+    it('retries graphql after reset if rate limited', async () => {
+      const debug = sinon.stub();
+      const errRateLimit = new Error('API rate limit exceeded');
+      errRateLimit.errors = [{ type: 'RATE_LIMITED' }];
+      errRateLimit.headers = {
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(clock.Date.now() / 1000 + 60),
+      };
+      const graphql = sinon.stub().resolves(makeRollup('SUCCESS'))
+        .onCall(0).rejects(errRateLimit);
+      const options = {
+        debug,
+        graphql: true,
+        octokit: {
+          checks: { listForRef: neverCalled },
+          graphql,
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledWith(debug, 'Rate limited: API rate limit exceeded');
+      sinon.assert.calledWith(
+        debug,
+        'Increasing wait from 4 to 60 seconds due to API rate limit.',
+      );
+
+      clock.tick(59000);
+      await setImmediateP();
+      sinon.assert.calledOnce(graphql);
+
+      clock.tick(1000);
+      const [combinedStatus] = await result;
+      sinon.assert.calledTwice(graphql);
+      assert.strictEqual(combinedStatus.statuses[0].state, 'success');
+    });
+  });
+
+  describe('with options.signal', () => {
+    it('passes signal to each request', async () => {
+      const { signal } = new AbortController();
+      const getCommit = sinon.stub().resolves({ data: 'abc123\n' });
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus('success'));
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef, getCommit },
+        },
+        resolveRef: true,
+        signal,
+      };
+      await fetchCiStatus(apiArgs, options);
+      const requestArgs = { request: { signal } };
+      sinon.assert.calledOnceWithMatch(getCommit, requestArgs);
+      sinon.assert.calledOnceWithMatch(getCombinedStatusForRef, requestArgs);
+      sinon.assert.calledOnceWithMatch(listForRef, requestArgs);
+    });
+
+    it('passes signal to graphql requests', async () => {
+      const { signal } = new AbortController();
+      const graphql = sinon.stub().resolves({
+        repository: {
+          object: {
+            oid: 'abc123',
+            statusCheckRollup: null,
+          },
+        },
+      });
+      const options = {
+        graphql: true,
+        octokit: { graphql },
+        signal,
+      };
+      await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithMatch(
+        graphql,
+        match.string,
+        { request: { signal } },
+      );
+    });
+
+    it('rejects without requests if already aborted', async () => {
+      const abortController = new AbortController();
+      const reason = new Error('test abort');
+      abortController.abort(reason);
+      const options = {
+        octokit: {
+          checks: { listForRef: neverCalled },
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+        signal: abortController.signal,
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        reason,
+      );
+    });
+
+    it('rejects with AbortError when aborted while waiting', async () => {
+      const abortController = new AbortController();
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus('pending'));
+      const listForRef = sinon.stub().resolves(makeCheckRuns());
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        // Use default setTimeout, which supports signal
+        retry: { waitMs: 60000 },
+        signal: abortController.signal,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+      abortController.abort();
+      await assert.rejects(result, { name: 'AbortError' });
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+    });
+
+    it('does not fall back to REST if graphql is aborted', async () => {
+      const abortController = new AbortController();
+      const errAbort = new DOMException('aborted', 'AbortError');
+      const graphql = sinon.stub().callsFake(() => {
+        abortController.abort();
+        return Promise.reject(errAbort);
+      });
+      const options = {
+        graphql: true,
+        octokit: {
+          checks: { listForRef: neverCalled },
+          graphql,
+          repos: { getCombinedStatusForRef: neverCalled },
+        },
+        signal: abortController.signal,
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        errAbort,
+      );
+    });
+  });
+
+  describe('with options.contexts and options.excludeContexts', () => {
+    it('does not retry for pending status in excludeContexts', async () => {
+      const status = makeCombinedStatus('success', 'pending');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        excludeContexts: [/^security\//],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+    });
+
+    it('does not retry for pending check not in contexts', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('in_progress');
+      const listForRef = sinon.stub().resolves(checks);
+      const onPoll = sinon.stub();
+      const options = {
+        contexts: [/^continuous-integration\//],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        onPoll,
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+      sinon.assert.calledOnce(listForRef);
+      sinon.assert.calledOnceWithExactly(onPoll, result, match({
+        statusCount: 1,
+        checkCount: 0,
+      }));
+    });
+
+    it('retries for pending check in contexts', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('in_progress');
+      const listForRef = sinon.stub().resolves(checks);
+      const waitMs = 4000;
+      const options = {
+        contexts: [/^mighty_/],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(listForRef);
+    });
+  });
+
+  describe('with options.expectContexts and options.expectCount', () => {
+    it('retries while expected context has not been reported', async () => {
+      const status = makeCombinedStatus('success', 'success');
+      const getCombinedStatusForRef = sinon.stub();
+      getCombinedStatusForRef.onCall(0).resolves(makeCombinedStatus('success'));
+      getCombinedStatusForRef.onCall(1).resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        expectContexts: ['security/brakeman'],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+    });
+
+    it('retries while fewer than expectCount reported', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success', 'success');
+      const listForRef = sinon.stub();
+      listForRef.onCall(0).resolves(makeCheckRuns('success'));
+      listForRef.onCall(1).resolves(checks);
+      const options = {
+        expectCount: 3,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(listForRef);
+    });
+
+    it('does not retry once expected are reported', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        expectContexts: ['continuous-integration/jenkins', 'mighty_readme'],
+        expectCount: 2,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('does not retry for expected context after failure', async () => {
+      const status = makeCombinedStatus('failure');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        expectContexts: ['security/brakeman'],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('does not retry for expected check run of excluded job', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks =
+        withActionsJob(makeCheckRuns('success', 'in_progress'), 1, 'test');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        excludeActionsRun: { runId: '123', job: 'test' },
+        expectContexts: ['test'],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('does not retry for expected context excluded by contexts', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        contexts: [/^continuous/],
+        expectContexts: ['mighty_readme', 'security/brakeman'],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('does not retry for expected context in excludeContexts', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        excludeContexts: [/^mighty/, /^security\//],
+        expectContexts: ['mighty_readme', 'security/brakeman'],
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+    });
+
+    it('does not retry for expected context not required', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        expectContexts: ['continuous-integration/jenkins', 'security/brakeman'],
+        octokit: {
+          checks: { listForRef },
+          repos: {
+            getBranch: getBranchRequiringCheckRun(),
+            getBranchRules: sinon.stub().resolves({ data: [] }),
+            getCombinedStatusForRef,
+          },
+        },
+        required: 'main',
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const [combinedStatus, checksList] =
+        await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(combinedStatus.statuses, []);
+      assert.deepStrictEqual(checksList, checks.data);
+    });
+
+    it('retries while expected required context is not reported', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub();
+      listForRef.onCall(0).resolves(makeCheckRuns());
+      listForRef.onCall(1).resolves(checks);
+      const options = {
+        expectContexts: ['mighty_readme'],
+        octokit: {
+          checks: { listForRef },
+          repos: {
+            getBranch: getBranchRequiringCheckRun(),
+            getBranchRules: sinon.stub().resolves({ data: [] }),
+            getCombinedStatusForRef,
+          },
+        },
+        required: 'main',
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(4000);
+      const [combinedStatus, checksList] = await result;
+      assert.deepStrictEqual(combinedStatus.statuses, []);
+      assert.deepStrictEqual(checksList, checks.data);
+      sinon.assert.calledTwice(listForRef);
+    });
+  });
+
+  describe('with options.excludeActionsRun', () => {
+    it('does not retry for pending check run of excluded job', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks =
+        withActionsJob(makeCheckRuns('success', 'in_progress'), 1, 'test');
+      const listForRef = sinon.stub().resolves(checks);
+      const onPoll = sinon.stub();
+      const options = {
+        excludeActionsRun: { runId: '123', job: 'test' },
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        onPoll,
+        retry: {
+          setTimeout: neverCalled,
+        },
+        waitAll: true,
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+      sinon.assert.calledOnce(listForRef);
+      sinon.assert.calledOnceWithExactly(onPoll, result, match({
+        checkCount: 1,
+        checkWaitCount: 0,
+      }));
+    });
+
+    it('retries for pending check run of other job in run', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks =
+        withActionsJob(makeCheckRuns('success', 'in_progress'), 1, 'other');
+      const listForRef = sinon.stub().resolves(checks);
+      const waitMs = 4000;
+      const options = {
+        excludeActionsRun: { runId: '123', job: 'test' },
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.calledTwice(listForRef);
+    });
+
+    it('does not retry for pending check run of any job in run', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks =
+        withActionsJob(makeCheckRuns('success', 'in_progress'), 1, 'other');
+      const listForRef = sinon.stub().resolves(checks);
+      const options = {
+        excludeActionsRun: { runId: '123' },
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+      sinon.assert.calledOnce(listForRef);
+    });
+
+    it('retries if excluded check run is the only check', async () => {
+      const getCombinedStatusForRef =
+        sinon.stub().resolves(makeCombinedStatus());
+      const checks = withActionsJob(makeCheckRuns('in_progress'), 0, 'test');
+      const listForRef = sinon.stub().resolves(checks);
+      const waitMs = 4000;
+      const options = {
+        excludeActionsRun: { runId: '123', job: 'test' },
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      await result;
+      sinon.assert.calledTwice(listForRef);
+    });
+  });
+
+  describe('with options.onPoll', () => {
+    it('calls onPoll with result and counts without retry', async () => {
+      const status = makeCombinedStatus('pending', 'success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('queued', 'in_progress', 'failure');
+      const listForRef = sinon.stub().resolves(checks);
+      const onPoll = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        onPoll,
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result, [status.data, checks.data]);
+      sinon.assert.calledOnceWithExactly(
+        onPoll,
+        [status.data, checks.data],
+        {
+          time: match.number,
+          statusCount: 2,
+          statusWaitCount: 1,
+          checkCount: 3,
+          checkWaitCount: 2,
+        },
+      );
+    });
+
+    it('calls onPoll for each retry', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks)
+        .onCall(0).resolves(makeCheckRuns('in_progress'));
+      const onPoll = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        onPoll,
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+
+      await setImmediateP();
+      sinon.assert.callCount(onPoll, 1);
+      sinon.assert.calledWithExactly(
+        onPoll.getCall(0),
+        [status.data, makeCheckRuns('in_progress').data],
+        {
+          time: 0,
+          statusCount: 1,
+          statusWaitCount: 0,
+          checkCount: 1,
+          checkWaitCount: 1,
+        },
+      );
+
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.callCount(onPoll, 2);
+      sinon.assert.calledWithExactly(
+        onPoll.getCall(1),
+        [status.data, checks.data],
+        {
+          time: 4000,
+          statusCount: 1,
+          statusWaitCount: 0,
+          checkCount: 1,
+          checkWaitCount: 0,
+        },
+      );
+    });
+  });
+
   describe('with options.debug', () => {
     // This can occur due to late-registered status, or ref not pushed yet.
     it('retries with no statuses or checks', async () => {
@@ -331,8 +2093,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(getCombinedStatusForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+      sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -369,8 +2131,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(getCombinedStatusForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+      sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -406,8 +2168,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(listForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+      sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -442,8 +2204,8 @@ describe('fetchCiStatus', () => {
 
       clock.tick(waitMs);
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      sinon.assert.alwaysCalledWithMatch(getCombinedStatusForRef, pageArgs);
+      sinon.assert.alwaysCalledWithMatch(listForRef, pageArgs);
       sinon.assert.calledTwice(getCombinedStatusForRef);
       sinon.assert.calledTwice(listForRef);
 
@@ -0,0 +1,131 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import fetchRunnerJob from '../../lib/fetch-runner-job.js';
+import getPackageJson from '../../lib/get-package-json.js';
+import { OctokitMockSymbol } from '../../lib/symbols.js';
+
+/* eslint-disable camelcase */
+
+const { match } = sinon;
+
+const apiArgs = Object.freeze({
+  owner: 'owner',
+  repo: 'repo',
+  runId: '123',
+  runAttempt: '2',
+  runnerName: 'GitHub Actions 3',
+});
+
+function makeJob(id, runnerName, status = 'in_progress') {
+  return {
+    id,
+    html_url: `https://github.com/owner/repo/actions/runs/123/job/${id}`,
+    name: `Job ${id}`,
+    runner_name: runnerName,
+    status,
+  };
+}
+
+function makeJobsResponse(jobs, totalCount = jobs.length) {
+  return {
+    data: {
+      jobs,
+      total_count: totalCount,
+    },
+  };
+}
+
+describe('fetchRunnerJob', () => {
+  it('returns in-progress job on runner', async () => {
+    const job = makeJob(3, 'GitHub Actions 3');
+    const listJobsForWorkflowRunAttempt = sinon.stub().resolves(
+      makeJobsResponse([
+        makeJob(1, 'GitHub Actions 1'),
+        makeJob(2, 'GitHub Actions 3', 'completed'),
+        job,
+      ]),
+    );
+    const octokit = { actions: { listJobsForWorkflowRunAttempt } };
+    assert.deepStrictEqual(await fetchRunnerJob(apiArgs, { octokit }), job);
+    sinon.assert.calledOnceWithExactly(listJobsForWorkflowRunAttempt, {
+      owner: 'owner',
+      repo: 'repo',
+      run_id: '123',
+      attempt_number: '2',
+      per_page: 100,
+      page: 1,
+    });
+  });
+
+  it('returns undefined if no job is in progress on runner', async () => {
+    const listJobsForWorkflowRunAttempt = sinon.stub().resolves(
+      makeJobsResponse([makeJob(1, 'GitHub Actions 1')]),
+    );
+    const octokit = { actions: { listJobsForWorkflowRunAttempt } };
+    assert.strictEqual(await fetchRunnerJob(apiArgs, { octokit }), undefined);
+  });
+
+  it('fetches pages until job is found', async () => {
+    const firstPage = Array.from(
+      { length: 100 },
+      (value, i) => makeJob(i, 'GitHub Actions 1'),
+    );
+    const job = makeJob(100, 'GitHub Actions 3');
+    const listJobsForWorkflowRunAttempt = sinon.stub();
+    listJobsForWorkflowRunAttempt.withArgs(match({ page: 1 }))
+      .resolves(makeJobsResponse(firstPage, 102));
+    listJobsForWorkflowRunAttempt.withArgs(match({ page: 2 }))
+      .resolves(makeJobsResponse([job, makeJob(101, 'GitHub Actions 2')]));
+    const octokit = { actions: { listJobsForWorkflowRunAttempt } };
+    assert.deepStrictEqual(await fetchRunnerJob(apiArgs, { octokit }), job);
+    sinon.assert.calledTwice(listJobsForWorkflowRunAttempt);
+  });
+
+  it('passes signal to requests', async () => {
+    const { signal } = new AbortController();
+    const listJobsForWorkflowRunAttempt =
+      sinon.stub().resolves(makeJobsResponse([]));
+    const octokit = { actions: { listJobsForWorkflowRunAttempt } };
+    await fetchRunnerJob(apiArgs, { octokit, signal });
+    sinon.assert.calledOnceWithMatch(
+      listJobsForWorkflowRunAttempt,
+      { request: { signal } },
+    );
+  });
+
+  it('rejects with errors from the API', async () => {
+    const errTest = new Error('Resource not accessible by integration');
+    errTest.status = 403;
+    const listJobsForWorkflowRunAttempt = sinon.stub().rejects(errTest);
+    const octokit = { actions: { listJobsForWorkflowRunAttempt } };
+    await assert.rejects(
+      () => fetchRunnerJob(apiArgs, { octokit }),
+      errTest,
+    );
+  });
+
+  it('constructs Octokit with userAgent and octokitOptions', async () => {
+    const listJobsForWorkflowRunAttempt =
+      sinon.stub().resolves(makeJobsResponse([]));
+    const Octokit = sinon.stub().returns({
+      actions: { listJobsForWorkflowRunAttempt },
+    });
+    const packageJson = await getPackageJson();
+    await fetchRunnerJob(apiArgs, {
+      [OctokitMockSymbol]: Octokit,
+      octokitOptions: { baseUrl: 'https://example.com' },
+    });
+    sinon.assert.calledOnceWithExactly(Octokit, {
+      baseUrl: 'https://example.com',
+      userAgent: `${packageJson.name}/${packageJson.version}`,
+    });
+    sinon.assert.calledWithNew(Octokit);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import formatDuration from '../../lib/format-duration.js';
+
+describe('formatDuration', () => {
+  for (const [durationMs, expected] of [
+    [0, '0s'],
+    [499, '0s'],
+    [500, '1s'],
+    [59000, '59s'],
+    [60000, '1m0s'],
+    [83000, '1m23s'],
+    [3600000, '1h0m0s'],
+    [3723000, '1h2m3s'],
+    [90000000, '25h0m0s'],
+  ]) {
+    it(`formats ${durationMs} as ${expected}`, () => {
+      assert.strictEqual(formatDuration(durationMs), expected);
+    });
+  }
+
+  it('throws TypeError for non-number', () => {
+    assert.throws(
+      () => formatDuration('1'),
+      TypeError,
+    );
+  });
+
+  for (const durationMs of [-1, Infinity, NaN]) {
+    it(`throws RangeError for ${durationMs}`, () => {
+      assert.throws(
+        () => formatDuration(durationMs),
+        RangeError,
+      );
+    });
+  }
+});
@@ -0,0 +1,189 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import formatJunit from '../../lib/format-junit.js';
+import { getCheckRunState } from '../../lib/status-utils.js';
+import {
+  makeCheckRuns,
+  makeCombinedStatus,
+} from '../../test-lib/api-responses.js';
+
+const testSha = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const testResult = {
+  owner: 'owner',
+  repo: 'repo',
+  sha: testSha,
+};
+
+function makeCheckRunStatuses(...checkRunStates) {
+  /* eslint-disable camelcase */
+  return makeCheckRuns(...checkRunStates).data.check_runs.map((checkRun) => ({
+    state: getCheckRunState(checkRun),
+    context: checkRun.name,
+    target_url: checkRun.html_url,
+    started_at: checkRun.started_at,
+    completed_at: checkRun.completed_at,
+    output: checkRun.output,
+  }));
+  /* eslint-enable camelcase */
+}
+
+describe('formatJunit', () => {
+  it('formats empty testsuite without statuses', () => {
+    assert.strictEqual(
+      formatJunit({ ...testResult, statuses: [] }),
+      '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<testsuites name="hub-ci-status" tests="0" failures="0" skipped="0">\n'
+      + `  <testsuite name="owner/repo@${testSha}"`
+      + ' tests="0" failures="0" skipped="0">\n'
+      + '  </testsuite>\n'
+      + '</testsuites>\n',
+    );
+  });
+
+  it('formats successful status as testcase', () => {
+    const { statuses } = makeCombinedStatus('success').data;
+    assert.strictEqual(
+      formatJunit({ ...testResult, statuses }),
+      '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<testsuites name="hub-ci-status" tests="1" failures="0" skipped="0">\n'
+      + `  <testsuite name="owner/repo@${testSha}"`
+      + ' tests="1" failures="0" skipped="0">\n'
+      + '    <testcase name="continuous-integration/jenkins"'
+      + ' classname="owner/repo"/>\n'
+      + '  </testsuite>\n'
+      + '</testsuites>\n',
+    );
+  });
+
+  it('formats failed status with target_url and description', () => {
+    const { statuses } = makeCombinedStatus('failure').data;
+    assert.match(
+      formatJunit({ ...testResult, statuses }),
+      new RegExp(
+        '<testcase name="continuous-integration/jenkins"'
+        + ' classname="owner/repo">\\n'
+        + ' *<failure message="failure" type="failure">'
+        + 'https://ci\\.example\\.com/1000/output\\n'
+        + 'Build has completed successfully</failure>\\n'
+        + ' *</testcase>',
+      ),
+    );
+  });
+
+  for (const state of [
+    'cancelled',
+    'error',
+    'failure',
+    'stale',
+    'startup_failure',
+    'timed_out',
+  ]) {
+    it(`formats ${state} check as failure with output`, () => {
+      const statuses = makeCheckRunStatuses(state);
+      const junit = formatJunit({ ...testResult, statuses });
+      assert.match(junit, /<testsuites [^>]* failures="1" skipped="0">/);
+      assert.match(
+        junit,
+        new RegExp(
+          '<testcase name="mighty_readme" classname="owner/repo" time="0">\\n'
+          + ` *<failure message="${state}" type="${state}">`
+          + 'https://github\\.com/github/hello-world/runs/4\\n'
+          + 'Mighty Readme report\\n'
+          + 'There are 0 failures, 2 warnings, and 1 notice\\.</failure>',
+        ),
+      );
+    });
+  }
+
+  it('formats pending check as skipped', () => {
+    const statuses = makeCheckRunStatuses('in_progress');
+    const junit = formatJunit({ ...testResult, statuses });
+    assert.match(junit, /<testsuites [^>]* failures="0" skipped="1">/);
+    assert.match(
+      junit,
+      /<testcase name="mighty_readme"[^>]*>\n *<skipped message="pending"\/>/,
+    );
+  });
+
+  it('formats skipped check as skipped', () => {
+    const statuses = makeCheckRunStatuses('skipped');
+    const junit = formatJunit({ ...testResult, statuses });
+    assert.match(junit, /<testsuites [^>]* failures="0" skipped="1">/);
+    assert.match(
+      junit,
+      /<testcase name="mighty_readme"[^>]*>\n *<skipped message="skipped"\/>/,
+    );
+  });
+
+  it('includes duration of completed checks in seconds', () => {
+    /* eslint-disable camelcase */
+    const statuses = [{
+      state: 'success',
+      context: 'build',
+      started_at: '2018-05-04T01:14:52Z',
+      completed_at: '2018-05-04T01:16:55Z',
+    }];
+    /* eslint-enable camelcase */
+    assert.match(
+      formatJunit({ ...testResult, statuses }),
+      /<testcase name="build" classname="owner\/repo" time="123"\/>/,
+    );
+  });
+
+  it('escapes XML markup characters', () => {
+    const statuses = [{
+      state: 'failure',
+      context: '<a & "b" \'c\'>',
+      description: 'x < y',
+    }];
+    const junit = formatJunit({ ...testResult, statuses });
+    assert.match(
+      junit,
+      /<testcase name="&lt;a &amp; &quot;b&quot; &apos;c&apos;&gt;"/,
+    );
+    assert.match(junit, />x &lt; y<\/failure>/);
+  });
+
+  it('removes characters not allowed in XML', () => {
+    const statuses = [{
+      state: 'failure',
+      context: 'lint\0',
+      description: '\u{1B}[31merror\u{1B}[0m\fdone\ttab',
+    }];
+    const junit = formatJunit({ ...testResult, statuses });
+    assert.match(junit, /<testcase name="lint"/);
+    assert.match(junit, />\[31merror\[0mdone\ttab<\/failure>/);
+  });
+
+  it('formats testsuite for each result', () => {
+    const results = [
+      {
+        ...testResult,
+        statuses: makeCombinedStatus('success').data.statuses,
+      },
+      {
+        ...testResult,
+        sha: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
+        statuses: makeCombinedStatus('failure', 'pending').data.statuses,
+      },
+    ];
+    const junit = formatJunit(...results);
+    assert.match(
+      junit,
+      /<testsuites [^>]*tests="3" failures="1" skipped="1">/,
+    );
+    assert.match(
+      junit,
+      /<testsuite name="owner\/repo@[0-9a-f]+" tests="1" failures="0"/,
+    );
+    assert.match(
+      junit,
+      /<testsuite name="owner\/repo@6dcb09b5[0-9a-f]+" tests="2" failures="1"/,
+    );
+  });
+});
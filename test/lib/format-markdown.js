@@ -0,0 +1,111 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import formatMarkdown from '../../lib/format-markdown.js';
+import { makeCombinedStatus } from '../../test-lib/api-responses.js';
+
+const testSha = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const testResult = {
+  owner: 'owner',
+  repo: 'repo',
+  sha: testSha,
+};
+
+const stateToEmoji = {
+  success: '✅',
+  neutral: '⚪',
+  skipped: '⚪',
+  pending: '🟡',
+  cancelled: '❌',
+  error: '❌',
+  failure: '❌',
+  stale: '❌',
+  startup_failure: '❌', // eslint-disable-line camelcase
+  test123: '❔',
+};
+
+describe('formatMarkdown', () => {
+  it('formats only verdict without statuses', () => {
+    assert.strictEqual(
+      formatMarkdown({ ...testResult, state: '', statuses: [] }),
+      `❔ **no status** for owner/repo@\`${testSha}\`\n`,
+    );
+  });
+
+  it('formats table of statuses with verdict', () => {
+    const { statuses } = makeCombinedStatus('success', 'failure').data;
+    assert.strictEqual(
+      formatMarkdown({ ...testResult, state: 'failure', statuses }),
+      '| State | Context | Duration |\n'
+      + '| ----- | ------- | -------- |\n'
+      + '| ✅ success | [continuous-integration/jenkins]'
+      + '(https://ci.example.com/1000/output) |  |\n'
+      + '| ❌ failure | [security/brakeman]'
+      + '(https://ci.example.com/2000/output) |  |\n'
+      + '\n'
+      + `❌ **failure** for owner/repo@\`${testSha}\`\n`,
+    );
+  });
+
+  for (const [state, emoji] of Object.entries(stateToEmoji)) {
+    it(`formats ${state} with ${emoji}`, () => {
+      const statuses = [{ state, context: 'build' }];
+      const markdown = formatMarkdown({ ...testResult, state, statuses });
+      const stateMd = state.replaceAll('_', '\\_');
+      assert.ok(
+        markdown.includes(`\n| ${emoji} ${stateMd} | build |  |\n`),
+        `${markdown} includes row with ${emoji} ${state}`,
+      );
+      assert.ok(
+        markdown.includes(`\n${emoji} **${stateMd}** for `),
+        `${markdown} includes verdict with ${emoji} ${state}`,
+      );
+    });
+  }
+
+  it('escapes _ in state', () => {
+    const state = 'timed_out';
+    const statuses = [{ state, context: 'build' }];
+    assert.match(
+      formatMarkdown({ ...testResult, state, statuses }),
+      /^❌ \*\*timed\\_out\*\*/m,
+    );
+  });
+
+  it('includes duration of completed checks', () => {
+    /* eslint-disable camelcase */
+    const statuses = [{
+      state: 'success',
+      context: 'build',
+      started_at: '2018-05-04T01:14:52Z',
+      completed_at: '2018-05-04T01:16:55Z',
+    }];
+    /* eslint-enable camelcase */
+    assert.match(
+      formatMarkdown({ ...testResult, state: 'success', statuses }),
+      /^\| ✅ success \| build \| 2m3s \|$/m,
+    );
+  });
+
+  it('escapes Markdown in context and link destination', () => {
+    /* eslint-disable camelcase */
+    const statuses = [{
+      state: 'success',
+      context: 'a|b *c* [d]\ne',
+      target_url: 'https://example.com/a (b)',
+    }];
+    /* eslint-enable camelcase */
+    const markdown =
+      formatMarkdown({ ...testResult, state: 'success', statuses });
+    const expectRow = '| ✅ success | [a\\|b \\*c\\* \\[d\\] e]'
+      + '(https://example.com/a%20%28b%29) |  |';
+    assert.ok(
+      markdown.includes(`\n${expectRow}\n`),
+      `${markdown} includes ${expectRow}`,
+    );
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import formatTap from '../../lib/format-tap.js';
+import { makeCombinedStatus } from '../../test-lib/api-responses.js';
+
+describe('formatTap', () => {
+  it('formats empty plan without statuses', () => {
+    assert.strictEqual(
+      formatTap({ statuses: [] }),
+      'TAP version 14\n1..0 # SKIP no status\n',
+    );
+  });
+
+  it('formats test point with diagnostics for each status', () => {
+    const { statuses } = makeCombinedStatus('success', 'failure').data;
+    assert.strictEqual(
+      formatTap({ statuses }),
+      'TAP version 14\n'
+      + '1..2\n'
+      + 'ok 1 - continuous-integration/jenkins\n'
+      + '  ---\n'
+      + '  state: "success"\n'
+      + '  url: "https://ci.example.com/1000/output"\n'
+      + '  summary: "Build has completed successfully"\n'
+      + '  ...\n'
+      + 'not ok 2 - security/brakeman\n'
+      + '  ---\n'
+      + '  state: "failure"\n'
+      + '  url: "https://ci.example.com/2000/output"\n'
+      + '  summary: "Testing has completed successfully"\n'
+      + '  ...\n',
+    );
+  });
+
+  it('includes check output title and summary', () => {
+    const statuses = [{
+      state: 'failure',
+      context: 'lint',
+      output: {
+        title: 'Lint "errors"',
+        summary: '2 errors\n1 warning',
+      },
+    }];
+    assert.strictEqual(
+      formatTap({ statuses }),
+      'TAP version 14\n'
+      + '1..1\n'
+      + 'not ok 1 - lint\n'
+      + '  ---\n'
+      + '  state: "failure"\n'
+      + '  title: "Lint \\"errors\\""\n'
+      + '  summary: "2 errors\\n1 warning"\n'
+      + '  ...\n',
+    );
+  });
+
+  it('marks pending status as TODO', () => {
+    const statuses = [{ state: 'pending', context: 'build' }];
+    assert.match(
+      formatTap({ statuses }),
+      /^not ok 1 - build # TODO pending$/m,
+    );
+  });
+
+  it('marks neutral status as SKIP', () => {
+    const statuses = [{ state: 'neutral', context: 'build' }];
+    assert.match(
+      formatTap({ statuses }),
+      /^ok 1 - build # SKIP neutral$/m,
+    );
+  });
+
+  it('marks skipped status as SKIP', () => {
+    const statuses = [{ state: 'skipped', context: 'build' }];
+    assert.match(
+      formatTap({ statuses }),
+      /^ok 1 - build # SKIP skipped$/m,
+    );
+  });
+
+  for (const state of [
+    'cancelled',
+    'error',
+    'stale',
+    'startup_failure',
+    'timed_out',
+    'test123',
+  ]) {
+    it(`formats ${state} status as not ok`, () => {
+      const statuses = [{ state, context: 'build' }];
+      assert.match(formatTap({ statuses }), /^not ok 1 - build$/m);
+    });
+  }
+
+  it('escapes # and \\ in description', () => {
+    const statuses = [{ state: 'success', context: 'a\\b #1' }];
+    assert.match(formatTap({ statuses }), /^ok 1 - a\\\\b \\#1$/m);
+  });
+
+  it('replaces newlines in description', () => {
+    const statuses = [{ state: 'success', context: 'a\r\nb' }];
+    assert.match(formatTap({ statuses }), /^ok 1 - a b$/m);
+  });
+
+  it('formats multiple results as subtests', () => {
+    const results = [
+      {
+        ref: 'main',
+        exitCode: 0,
+        statuses: [{ state: 'success', context: 'build' }],
+      },
+      {
+        ref: 'next',
+        exitCode: 2,
+        statuses: [{ state: 'pending', context: 'build' }],
+      },
+      {
+        sha: '4b825dc642cb6eb9a060e54bf8d69288fbee4904',
+        exitCode: 3,
+        statuses: [],
+      },
+    ];
+    assert.strictEqual(
+      formatTap(...results),
+      'TAP version 14\n'
+      + '1..3\n'
+      + '# Subtest: main\n'
+      + '    1..1\n'
+      + '    ok 1 - build\n'
+      + '      ---\n'
+      + '      state: "success"\n'
+      + '      ...\n'
+      + 'ok 1 - main\n'
+      + '# Subtest: next\n'
+      + '    1..1\n'
+      + '    not ok 1 - build # TODO pending\n'
+      + '      ---\n'
+      + '      state: "pending"\n'
+      + '      ...\n'
+      + 'not ok 2 - next # TODO pending\n'
+      + '# Subtest: 4b825dc642cb6eb9a060e54bf8d69288fbee4904\n'
+      + '    1..0 # SKIP no status\n'
+      + 'not ok 3 - 4b825dc642cb6eb9a060e54bf8d69288fbee4904\n',
+    );
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import formatTemplate from '../../lib/format-template.js';
+
+describe('formatTemplate', () => {
+  it('replaces placeholders with values', () => {
+    assert.strictEqual(
+      formatTemplate('%state: %context', {
+        context: 'ci',
+        state: 'success',
+      }),
+      'success: ci',
+    );
+  });
+
+  it('replaces repeated placeholders', () => {
+    assert.strictEqual(
+      formatTemplate('%state %state', { state: 'failure' }),
+      'failure failure',
+    );
+  });
+
+  it('replaces undefined and null values with empty string', () => {
+    assert.strictEqual(
+      formatTemplate('[%a][%b]', { a: undefined, b: null }),
+      '[][]',
+    );
+  });
+
+  it('converts non-string values to string', () => {
+    assert.strictEqual(formatTemplate('%count', { count: 3 }), '3');
+  });
+
+  it('replaces %n with newline', () => {
+    assert.strictEqual(formatTemplate('a%nb', {}), 'a\nb');
+  });
+
+  it('replaces %% with %', () => {
+    assert.strictEqual(
+      formatTemplate('100%% %%state', { state: 'success' }),
+      '100% %state',
+    );
+  });
+
+  it('does not replace unknown placeholders', () => {
+    assert.strictEqual(
+      formatTemplate('%unknown %state', { state: 'success' }),
+      '%unknown success',
+    );
+  });
+
+  it('prefers longest matching placeholder name', () => {
+    assert.strictEqual(
+      formatTemplate('%sha %shax %na', { sha: 1, shax: 2, na: 3 }),
+      '1 2 3',
+    );
+  });
+
+  it('matches placeholder prefix of longer word', () => {
+    assert.strictEqual(
+      formatTemplate('%states', { state: 'success' }),
+      'successs',
+    );
+  });
+
+  it('treats names as literal strings', () => {
+    assert.strictEqual(
+      formatTemplate('%a.b %a+b', { 'a.b': 1 }),
+      '1 %a+b',
+    );
+  });
+
+  it('throws TypeError for non-string template', () => {
+    assert.throws(
+      () => formatTemplate(1, {}),
+      TypeError,
+    );
+  });
+});
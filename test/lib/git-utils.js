@@ -4,6 +4,7 @@
  */
 
 import assert from 'node:assert';
+import { mkdir, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import { pathToFileURL } from 'node:url';
 
@@ -33,6 +34,8 @@ const REMOTES = {
   remote2: 'https://github.com/owner2/repo2.git',
 };
 const TAGS = ['tag1'];
+const WORKFLOW_PATH = '.github/workflows/ci.yml';
+const WORKFLOW_TEXT = 'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n';
 
 function neverCalled() {
   throw new Error('should not be called');
@@ -66,6 +69,17 @@ before('setup test repository', async function() {
     ['commit', '-q', '-m', 'Second Commit', '--allow-empty'],
     gitOptions,
   );
+  await mkdir(path.join(testRepoPath, path.dirname(WORKFLOW_PATH)), {
+    recursive: true,
+  });
+  await writeFile(path.join(testRepoPath, WORKFLOW_PATH), WORKFLOW_TEXT);
+  await writeFile(path.join(testRepoPath, 'README.md'), '# Test\n');
+  await execFileOut('git', ['add', '.'], gitOptions);
+  await execFileOut(
+    'git',
+    ['commit', '-q', '-m', 'Add Workflow'],
+    gitOptions,
+  );
 
   // Create remotes
   for (const [remoteName, remoteUrl] of Object.entries(REMOTES)) {
@@ -156,6 +170,36 @@ describe('gitUtils', function() {
     });
   });
 
+  describe('.getChangedFiles', () => {
+    it('resolves paths of files changed by commit', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.getChangedFiles('HEAD', gitOptions),
+        [WORKFLOW_PATH, 'README.md'],
+      );
+    });
+
+    it('resolves empty Array for empty commit', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.getChangedFiles('HEAD~', gitOptions),
+        [],
+      );
+    });
+
+    it('resolves empty Array for empty root commit', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.getChangedFiles(TAGS[0], gitOptions),
+        [],
+      );
+    });
+
+    it('rejects with Error for unresolvable name', async () => {
+      await assert.rejects(
+        () => gitUtils.getChangedFiles('notabranch', gitOptions),
+        /Unable to get files changed by 'notabranch'/,
+      );
+    });
+  });
+
   describe('.getConfig', () => {
     it('rejects with RangeError for invalid scope', () => {
       return assert.rejects(
@@ -252,6 +296,57 @@ describe('gitUtils', function() {
     }
   });
 
+  describe('.getSymbolicFullName', () => {
+    it('resolves full name of branch', async () => {
+      assert.strictEqual(
+        await gitUtils.getSymbolicFullName('branch1', gitOptions),
+        'refs/heads/branch1',
+      );
+    });
+
+    it('resolves full name of tag', async () => {
+      assert.strictEqual(
+        await gitUtils.getSymbolicFullName(TAGS[0], gitOptions),
+        `refs/tags/${TAGS[0]}`,
+      );
+    });
+
+    it('resolves full name of current branch for HEAD', async () => {
+      assert.strictEqual(
+        await gitUtils.getSymbolicFullName('HEAD', gitOptions),
+        `refs/heads/${defaultBranch}`,
+      );
+    });
+
+    it('resolves undefined for commit hash', async () => {
+      const hash = await gitUtils.resolveCommit('HEAD', gitOptions);
+      assert.strictEqual(
+        await gitUtils.getSymbolicFullName(hash, gitOptions),
+        undefined,
+      );
+    });
+  });
+
+  describe('.listTreeFiles', () => {
+    it('resolves paths of files in directory', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.listTreeFiles(
+          'HEAD',
+          path.posix.dirname(WORKFLOW_PATH),
+          gitOptions,
+        ),
+        [WORKFLOW_PATH],
+      );
+    });
+
+    it('resolves empty Array for missing directory', async () => {
+      assert.deepStrictEqual(
+        await gitUtils.listTreeFiles('HEAD~', '.github/workflows', gitOptions),
+        [],
+      );
+    });
+  });
+
   describe('.parseGitUrl', () => {
     it('parses http: like url module', () => {
       const testUrl = 'http://user@example.com/foo/bar';
@@ -325,6 +420,22 @@ describe('gitUtils', function() {
     });
   });
 
+  describe('.readCommitFile', () => {
+    it('resolves content of file in commit', async () => {
+      assert.strictEqual(
+        await gitUtils.readCommitFile('HEAD', WORKFLOW_PATH, gitOptions),
+        WORKFLOW_TEXT,
+      );
+    });
+
+    it('rejects with Error for missing file', async () => {
+      await assert.rejects(
+        () => gitUtils.readCommitFile('HEAD~', WORKFLOW_PATH, gitOptions),
+        /Unable to read '\.github\/workflows\/ci\.yml' in 'HEAD~'/,
+      );
+    });
+  });
+
   describe('.resolveCommit', () => {
     let headHash;
     it('can resolve the hash of HEAD', () => {
@@ -16,7 +16,11 @@ import { dir as makeTempDir } from 'tmp-promise';
 import execFileOut from '../../lib/exec-file-out.js';
 import getPackageJson from '../../lib/get-package-json.js';
 import { resolveCommit } from '../../lib/git-utils.js';
-import { getProjectName } from '../../lib/github-utils.js';
+import {
+  getApiBaseUrl,
+  getProjectName,
+  parseProjectName,
+} from '../../lib/github-utils.js';
 import gitInit from '../../test-lib/git-init.js';
 
 const defaultBranch = 'main';
@@ -288,6 +292,42 @@ describe('githubUtils', function() {
       });
     });
 
+    describe('with GitHub Enterprise Server remote', () => {
+      const testProject = ['kevinoid', 'hub-ci-status'];
+      before(() => execFileOut(
+        'git',
+        [
+          'remote',
+          'set-url',
+          'remote1',
+          `git@ghe.example.com:${testProject.join('/')}.git`,
+        ],
+        gitOptions,
+      ));
+
+      it('throws UnknownProjectError without GITHUB_HOST', () => {
+        const { GITHUB_HOST: ignored, ...env } = process.env;
+        return assert.rejects(
+          () => getProjectName({ ...gitOptions, env }),
+          (err) => {
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.name, 'UnknownProjectError');
+            return true;
+          },
+        );
+      });
+
+      it('returns project and host with GITHUB_HOST', async () => {
+        assert.deepStrictEqual(
+          await getProjectName({
+            ...gitOptions,
+            env: { ...process.env, GITHUB_HOST: 'ghe.example.com' },
+          }),
+          [...testProject, 'ghe.example.com'],
+        );
+      });
+    });
+
     describe('with two GitHub remotes', () => {
       const testProject = ['zzz', 'hub-ci-status'];
       before(() => execFileOut(
@@ -432,5 +472,81 @@ describe('githubUtils', function() {
         );
       });
     });
+
+    describe('with remoteName', () => {
+      it('returns project for named remote', async () => {
+        assert.deepStrictEqual(
+          await getProjectName(gitOptions, 'origin'),
+          ['origin', 'hub-ci-status'],
+        );
+      });
+
+      it('throws UnknownProjectError for non-GitHub remote', () => {
+        const { GITHUB_HOST: ignored, ...env } = process.env;
+        return assert.rejects(
+          () => getProjectName({ ...gitOptions, env }, 'remote1'),
+          (err) => {
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.name, 'UnknownProjectError');
+            assert.match(err.message, /\bremote1\b/);
+            return true;
+          },
+        );
+      });
+
+      it('throws UnknownProjectError for missing remote', () => {
+        return assert.rejects(
+          () => getProjectName(gitOptions, 'nonexistent'),
+          (err) => {
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.name, 'UnknownProjectError');
+            assert.match(err.message, /\bnonexistent\b/);
+            return true;
+          },
+        );
+      });
+    });
+  });
+});
+
+describe('githubUtils.parseProjectName', () => {
+  it('returns owner and repo', () => {
+    assert.deepStrictEqual(parseProjectName('owner/repo'), ['owner', 'repo']);
+  });
+
+  it('returns owner and repo for github.com host', () => {
+    assert.deepStrictEqual(
+      parseProjectName('github.com/owner/repo'),
+      ['owner', 'repo'],
+    );
+  });
+
+  it('returns owner, repo, and host for other host', () => {
+    assert.deepStrictEqual(
+      parseProjectName('ghe.example.com/owner/repo'),
+      ['owner', 'repo', 'ghe.example.com'],
+    );
+  });
+
+  for (const projectName of ['', 'owner', 'owner/', '/repo', 'a/b/c/d']) {
+    it(`throws for '${projectName}'`, () => {
+      assert.throws(
+        () => parseProjectName(projectName),
+        /\bInvalid project name\b/,
+      );
+    });
+  }
+});
+
+describe('githubUtils.getApiBaseUrl', () => {
+  it('returns api.github.com for github.com', () => {
+    assert.strictEqual(getApiBaseUrl('github.com'), 'https://api.github.com');
+  });
+
+  it('returns /api/v3 on GitHub Enterprise Server host', () => {
+    assert.strictEqual(
+      getApiBaseUrl('ghe.example.com'),
+      'https://ghe.example.com/api/v3',
+    );
   });
 });
@@ -0,0 +1,228 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import {
+  getRateLimitErrorWaitMs,
+  getRateLimitWaitMs,
+  isRateLimitError,
+} from '../../lib/rate-limit.js';
+
+function makeError(status, headers, message = 'test') {
+  const err = new Error(message);
+  err.status = status;
+  err.response = { headers };
+  return err;
+}
+
+describe('isRateLimitError', () => {
+  it('returns true for 429', () => {
+    assert.strictEqual(isRateLimitError(makeError(429, {})), true);
+  });
+
+  it('returns true for 403 with Retry-After', () => {
+    const err = makeError(403, { 'retry-after': '60' });
+    assert.strictEqual(isRateLimitError(err), true);
+  });
+
+  it('returns true for 403 with no remaining rate limit', () => {
+    const err = makeError(403, { 'x-ratelimit-remaining': '0' });
+    assert.strictEqual(isRateLimitError(err), true);
+  });
+
+  it('returns false for 403 with remaining rate limit', () => {
+    const err = makeError(403, { 'x-ratelimit-remaining': '10' });
+    assert.strictEqual(isRateLimitError(err), false);
+  });
+
+  it('returns true for 403 secondary rate limit without headers', () => {
+    const err = makeError(
+      403,
+      {},
+      'You have exceeded a secondary rate limit. Please wait a few minutes '
+      + 'before you try again.',
+    );
+    assert.strictEqual(isRateLimitError(err), true);
+  });
+
+  it('returns true for 403 with secondary rate limit in data', () => {
+    const err = makeError(403, { 'x-ratelimit-remaining': '10' });
+    err.response.data = {
+      message: 'You have exceeded a secondary rate limit.',
+    };
+    assert.strictEqual(isRateLimitError(err), true);
+  });
+
+  it('returns true for GraphQL RATE_LIMITED error', () => {
+    const err = new Error('API rate limit exceeded');
+    err.errors = [{ type: 'RATE_LIMITED', message: err.message }];
+    assert.strictEqual(isRateLimitError(err), true);
+  });
+
+  it('returns false for other GraphQL errors', () => {
+    const err = new Error('Could not resolve to a Repository');
+    err.errors = [{ type: 'NOT_FOUND', message: err.message }];
+    assert.strictEqual(isRateLimitError(err), false);
+  });
+
+  it('returns false for 404', () => {
+    const err = makeError(404, { 'retry-after': '60' });
+    assert.strictEqual(isRateLimitError(err), false);
+  });
+
+  it('returns false for Error without status', () => {
+    assert.strictEqual(isRateLimitError(new Error('test')), false);
+  });
+});
+
+describe('getRateLimitErrorWaitMs', () => {
+  it('returns 60 seconds for 429 without Retry-After', () => {
+    assert.strictEqual(getRateLimitErrorWaitMs(makeError(429, {})), 60000);
+  });
+
+  it('returns 60 seconds for 403 secondary rate limit', () => {
+    const err = makeError(
+      403,
+      { 'x-ratelimit-remaining': '10' },
+      'You have exceeded a secondary rate limit.',
+    );
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 60000);
+  });
+
+  it('returns 60 seconds for GraphQL RATE_LIMITED without headers', () => {
+    const err = new Error('API rate limit exceeded');
+    err.errors = [{ type: 'RATE_LIMITED', message: err.message }];
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 60000);
+  });
+
+  it('returns 0 for rate limit error with Retry-After', () => {
+    const err = makeError(429, { 'retry-after': '5' });
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 0);
+  });
+
+  it('returns 0 for rate limit error with no remaining rate limit', () => {
+    const err = makeError(403, { 'x-ratelimit-remaining': '0' });
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 0);
+  });
+
+  it('returns 0 for GraphQL RATE_LIMITED with no remaining headers', () => {
+    const err = new Error('API rate limit exceeded');
+    err.errors = [{ type: 'RATE_LIMITED', message: err.message }];
+    err.headers = { 'x-ratelimit-remaining': '0' };
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 0);
+  });
+
+  it('returns 0 for other errors', () => {
+    const err = makeError(403, { 'x-ratelimit-remaining': '10' });
+    assert.strictEqual(getRateLimitErrorWaitMs(err), 0);
+  });
+});
+
+describe('getRateLimitWaitMs', () => {
+  const nowMs = Date.UTC(2026, 0, 1);
+  const nowSec = nowMs / 1000;
+
+  it('returns 0 for no headers', () => {
+    assert.strictEqual(getRateLimitWaitMs([], nowMs), 0);
+    assert.strictEqual(getRateLimitWaitMs([{}], nowMs), 0);
+  });
+
+  it('returns Retry-After seconds', () => {
+    assert.strictEqual(
+      getRateLimitWaitMs([{ 'retry-after': '30' }], nowMs),
+      30000,
+    );
+  });
+
+  it('returns time until Retry-After date', () => {
+    const headers = {
+      'retry-after': new Date(nowMs + 45000).toUTCString(),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers], nowMs), 45000);
+  });
+
+  it('returns X-Poll-Interval seconds', () => {
+    assert.strictEqual(
+      getRateLimitWaitMs([{ 'x-poll-interval': '60' }], nowMs),
+      60000,
+    );
+  });
+
+  it('spreads remaining requests until reset', () => {
+    const headers = {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '20',
+      'x-ratelimit-reset': String(nowSec + 100),
+    };
+    // 2 requests per poll, 10 polls remaining in 100 seconds
+    assert.strictEqual(getRateLimitWaitMs([headers, headers], nowMs), 10000);
+  });
+
+  it('spreads remaining requests if limit is unknown', () => {
+    const headers = {
+      'x-ratelimit-remaining': '20',
+      'x-ratelimit-reset': String(nowSec + 100),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers, headers], nowMs), 10000);
+  });
+
+  it('does not spread requests used no faster than limit allows', () => {
+    // Recorded from an unauthenticated request
+    const headers = {
+      date: 'Sat, 30 Jan 2021 17:19:07 GMT',
+      'x-ratelimit-limit': '60',
+      'x-ratelimit-remaining': '57',
+      'x-ratelimit-reset': '1612030411',
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers, headers], nowMs), 0);
+  });
+
+  it('spreads remaining requests once used faster than limit allows', () => {
+    const headers = {
+      'x-ratelimit-limit': '60',
+      'x-ratelimit-remaining': '10',
+      // 1800 seconds until reset, with 30 requests allowed
+      'x-ratelimit-reset': String(nowSec + 1800),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers, headers], nowMs), 360000);
+  });
+
+  it('waits until reset if no requests remaining', () => {
+    const headers = {
+      'x-ratelimit-limit': '60',
+      'x-ratelimit-remaining': '1',
+      'x-ratelimit-reset': String(nowSec + 100),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers, headers], nowMs), 100000);
+  });
+
+  it('uses Date header as current time, if present', () => {
+    const headers = {
+      date: new Date(nowMs - 50000).toUTCString(),
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(nowSec),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers], nowMs), 50000);
+  });
+
+  it('ignores reset in the past', () => {
+    const headers = {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(nowSec - 100),
+    };
+    assert.strictEqual(getRateLimitWaitMs([headers], nowMs), 0);
+  });
+
+  it('returns the longest wait of all headers', () => {
+    assert.strictEqual(
+      getRateLimitWaitMs(
+        [{ 'retry-after': '30' }, { 'x-poll-interval': '60' }],
+        nowMs,
+      ),
+      60000,
+    );
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import {
+  fetchRequiredChecks,
+  filterRequiredChecks,
+} from '../../lib/required-checks.js';
+import {
+  makeCheckRuns,
+  makeCombinedStatus,
+} from '../../test-lib/api-responses.js';
+
+/* eslint-disable camelcase */
+
+const branchArgs = {
+  owner: 'owner',
+  repo: 'repo',
+  branch: 'main',
+};
+
+function makeBranch(requiredStatusChecks) {
+  return {
+    data: {
+      name: 'main',
+      protected: Boolean(requiredStatusChecks),
+      protection: {
+        enabled: Boolean(requiredStatusChecks),
+        required_status_checks: requiredStatusChecks || {
+          enforcement_level: 'off',
+          contexts: [],
+          checks: [],
+        },
+      },
+    },
+  };
+}
+
+function makeRequiredStatusChecksRule(checks) {
+  return {
+    type: 'required_status_checks',
+    parameters: {
+      required_status_checks: checks,
+      strict_required_status_checks_policy: false,
+    },
+  };
+}
+
+function makeError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+describe('fetchRequiredChecks', () => {
+  it('returns checks from branch protection', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch({
+      enforcement_level: 'everyone',
+      contexts: ['ci/build', 'test'],
+      checks: [
+        { context: 'ci/build', app_id: null },
+        { context: 'test', app_id: 15368 },
+      ],
+    }));
+    const getBranchRules = sinon.stub().resolves({ data: [] });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    const { signal } = new AbortController();
+    const requestOptions = { request: { signal } };
+    const requiredChecks =
+      await fetchRequiredChecks(octokit, branchArgs, requestOptions);
+    sinon.assert.calledOnceWithExactly(getBranch, {
+      ...branchArgs,
+      ...requestOptions,
+    });
+    sinon.assert.calledOnceWithExactly(getBranchRules, {
+      ...branchArgs,
+      ...requestOptions,
+      per_page: 100,
+    });
+    assert.deepStrictEqual(requiredChecks, [
+      { context: 'ci/build', appId: undefined },
+      { context: 'test', appId: 15368 },
+    ]);
+  });
+
+  it('returns contexts from branch protection without checks', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch({
+      enforcement_level: 'everyone',
+      contexts: ['ci/build'],
+    }));
+    const getBranchRules = sinon.stub().resolves({ data: [] });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    assert.deepStrictEqual(
+      await fetchRequiredChecks(octokit, branchArgs),
+      [{ context: 'ci/build', appId: undefined }],
+    );
+  });
+
+  it('returns checks from rulesets', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch());
+    const getBranchRules = sinon.stub().resolves({
+      data: [
+        { type: 'deletion' },
+        makeRequiredStatusChecksRule([
+          { context: 'ci/build' },
+          { context: 'test', integration_id: 15368 },
+          { context: 'lint', integration_id: -1 },
+        ]),
+      ],
+    });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    assert.deepStrictEqual(
+      await fetchRequiredChecks(octokit, branchArgs),
+      [
+        { context: 'ci/build', appId: undefined },
+        { context: 'test', appId: 15368 },
+        { context: 'lint', appId: undefined },
+      ],
+    );
+  });
+
+  it('returns checks from branch protection and rulesets', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch({
+      enforcement_level: 'everyone',
+      contexts: ['ci/build'],
+      checks: [{ context: 'ci/build', app_id: null }],
+    }));
+    const getBranchRules = sinon.stub().resolves({
+      data: [makeRequiredStatusChecksRule([{ context: 'test' }])],
+    });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    assert.deepStrictEqual(
+      await fetchRequiredChecks(octokit, branchArgs),
+      [
+        { context: 'ci/build', appId: undefined },
+        { context: 'test', appId: undefined },
+      ],
+    );
+  });
+
+  it('returns empty Array for unprotected branch', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch());
+    const getBranchRules = sinon.stub().resolves({ data: [] });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    assert.deepStrictEqual(await fetchRequiredChecks(octokit, branchArgs), []);
+  });
+
+  it('ignores 404 for rulesets', async () => {
+    const getBranch = sinon.stub().resolves(makeBranch({
+      enforcement_level: 'everyone',
+      contexts: ['ci/build'],
+    }));
+    const getBranchRules = sinon.stub().rejects(makeError('Not Found', 404));
+    const octokit = { repos: { getBranch, getBranchRules } };
+    assert.deepStrictEqual(
+      await fetchRequiredChecks(octokit, branchArgs),
+      [{ context: 'ci/build', appId: undefined }],
+    );
+  });
+
+  it('rejects with other errors for rulesets', async () => {
+    const errTest = makeError('Server Error', 500);
+    const getBranch = sinon.stub().resolves(makeBranch());
+    const getBranchRules = sinon.stub().rejects(errTest);
+    const octokit = { repos: { getBranch, getBranchRules } };
+    await assert.rejects(
+      () => fetchRequiredChecks(octokit, branchArgs),
+      errTest,
+    );
+  });
+
+  it('rejects with errors for branch', async () => {
+    const errTest = makeError('Branch not found', 404);
+    const getBranch = sinon.stub().rejects(errTest);
+    const getBranchRules = sinon.stub().resolves({ data: [] });
+    const octokit = { repos: { getBranch, getBranchRules } };
+    await assert.rejects(
+      () => fetchRequiredChecks(octokit, branchArgs),
+      errTest,
+    );
+  });
+});
+
+describe('filterRequiredChecks', () => {
+  const combinedStatus = makeCombinedStatus('success', 'failure').data;
+  const checksList = makeCheckRuns('failure').data;
+  const [jenkinsStatus, brakemanStatus] = combinedStatus.statuses;
+  const [checkRun] = checksList.check_runs;
+
+  it('returns only required statuses and check runs', () => {
+    const result = filterRequiredChecks(
+      [combinedStatus, checksList],
+      [
+        { context: jenkinsStatus.context, appId: undefined },
+        { context: checkRun.name, appId: checkRun.app.id },
+      ],
+    );
+    assert.deepStrictEqual(result, [
+      { ...combinedStatus, statuses: [jenkinsStatus], total_count: 1 },
+      { ...checksList, check_runs: [checkRun], total_count: 1 },
+    ]);
+  });
+
+  it('does not match check runs from other apps', () => {
+    const result = filterRequiredChecks(
+      [combinedStatus, checksList],
+      [
+        { context: brakemanStatus.context, appId: 1234 },
+        { context: checkRun.name, appId: checkRun.app.id + 1 },
+      ],
+    );
+    assert.deepStrictEqual(result, [
+      {
+        ...combinedStatus,
+        statuses: [
+          brakemanStatus,
+          {
+            context: checkRun.name,
+            description: 'Expected — Waiting for status to be reported',
+            state: 'pending',
+          },
+        ],
+        total_count: 2,
+      },
+      { ...checksList, check_runs: [], total_count: 0 },
+    ]);
+  });
+
+  it('adds one pending status for each missing context', () => {
+    const [filteredStatus, filteredChecks] = filterRequiredChecks(
+      [combinedStatus, checksList],
+      [
+        { context: 'missing', appId: undefined },
+        { context: 'missing', appId: 1234 },
+      ],
+    );
+    assert.deepStrictEqual(filteredStatus.statuses, [
+      {
+        context: 'missing',
+        description: 'Expected — Waiting for status to be reported',
+        state: 'pending',
+      },
+    ]);
+    assert.deepStrictEqual(filteredChecks.check_runs, []);
+  });
+
+  it('returns no statuses or check runs if none are required', () => {
+    const [filteredStatus, filteredChecks] =
+      filterRequiredChecks([combinedStatus, checksList], []);
+    assert.deepStrictEqual(filteredStatus.statuses, []);
+    assert.deepStrictEqual(filteredChecks.check_runs, []);
+  });
+});
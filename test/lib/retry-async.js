@@ -115,6 +115,125 @@ describe('retryAsync', () => {
     sinon.assert.calledOnceWithExactly(stub);
   });
 
+  it('retries rejection if shouldRetryError', async () => {
+    const stubResult = 1;
+    const stubCause = new Error('test');
+    const stub = sinon.stub().resolves(stubResult)
+      .onFirstCall().rejects(stubCause);
+    const shouldRetryError = sinon.stub().returns(true);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        shouldRetryError,
+        waitMs,
+      },
+    );
+    sinon.assert.callCount(stub, 1);
+
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(shouldRetryError, stubCause);
+    assert.strictEqual(clock.countTimers(), 1);
+
+    clock.tick(waitMs);
+    assert.strictEqual(await result, stubResult);
+    sinon.assert.callCount(stub, 2);
+  });
+
+  it('rejects after maxErrorRetries', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    const shouldRetryError = sinon.stub().returns(true);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        maxErrorRetries: 2,
+        shouldRetryError,
+        waitMs,
+      },
+    );
+    const rejects = assert.rejects(() => result, stubCause);
+
+    for (let i = 0; i < 2; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await setImmediateP();
+      assert.strictEqual(clock.countTimers(), 1);
+      clock.tick(waitMs);
+    }
+
+    await rejects;
+    sinon.assert.callCount(stub, 3);
+    sinon.assert.callCount(shouldRetryError, 2);
+  });
+
+  it('resets maxErrorRetries count after resolving', async () => {
+    const stubCause = new Error('test');
+    const stubResult = 1;
+    const stub = sinon.stub().rejects(stubCause);
+    stub.onCall(2).resolves(0);
+    stub.onCall(5).resolves(stubResult);
+    const shouldRetryError = sinon.stub().returns(true);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        maxErrorRetries: 2,
+        shouldRetryError,
+        waitMs,
+      },
+    );
+
+    for (let i = 0; i < 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await setImmediateP();
+      assert.strictEqual(clock.countTimers(), 1);
+      clock.tick(waitMs);
+    }
+
+    assert.strictEqual(await result, stubResult);
+    sinon.assert.callCount(stub, 6);
+    sinon.assert.callCount(shouldRetryError, 4);
+  });
+
+  it('rejects if shouldRetryError returns false', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    const shouldRetryError = sinon.stub().returns(false);
+    await assert.rejects(
+      () => retryAsync(
+        stub,
+        {
+          setTimeout: neverCalled,
+          shouldRetryError,
+        },
+      ),
+      stubCause,
+    );
+    sinon.assert.calledOnceWithExactly(shouldRetryError, stubCause);
+  });
+
+  it('rejects after rejection if maxTotalMs elapsed', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    await assert.rejects(
+      () => retryAsync(
+        stub,
+        {
+          maxTotalMs: 500,
+          minWaitMs: 1000,
+          setTimeout: neverCalled,
+          shouldRetryError: () => true,
+        },
+      ),
+      stubCause,
+    );
+    sinon.assert.callCount(stub, 1);
+  });
+
   it('handles non-Promise return values', async () => {
     const stubResult = undefined;
     const stub = sinon.stub().returns(stubResult);
@@ -372,6 +491,36 @@ describe('retryAsync', () => {
     sinon.assert.alwaysCalledWithExactly(stub);
   });
 
+  it('waits for adjustWaitMs return value', async () => {
+    const stubResult = 1;
+    const stub = sinon.stub();
+    stub.onSecondCall().returns(stubResult);
+    const waitMs = 1000;
+    const adjustWaitMs = sinon.stub().returns(3000);
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        adjustWaitMs,
+        waitMs,
+      },
+    );
+    sinon.assert.callCount(stub, 1);
+
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(adjustWaitMs, waitMs, undefined);
+    assert.strictEqual(clock.countTimers(), 1);
+
+    clock.tick(waitMs);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 1);
+
+    clock.tick(2000);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 2);
+    assert.strictEqual(await result, stubResult);
+  });
+
   it('does not wait at all if maxTotalMs < minWaitMs', async () => {
     const stubResult = false;
     const stub = sinon.stub().returns(stubResult);
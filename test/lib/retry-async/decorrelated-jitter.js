@@ -0,0 +1,126 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import decorrelatedJitter from
+  '../../../lib/retry-async/decorrelated-jitter.js';
+
+describe('retryAsync.decorrelatedJitter', () => {
+  it('returns values between initial and factor times previous', () => {
+    const random = sinon.stub();
+    random.onCall(0).returns(0.5);
+    random.onCall(1).returns(0);
+    random.onCall(2).returns(0.75);
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 2, Infinity, 4, random)],
+      // 2 + 0.5 * (6 - 2), 2 + 0 * (12 - 2), 2 + 0.75 * (6 - 2)
+      [2, 4, 2, 5],
+    );
+    sinon.assert.calledThrice(random);
+  });
+
+  it('returns values between initial and maxValue by default', () => {
+    const values = [...decorrelatedJitter(3, 2, 10, 20)];
+    assert.strictEqual(values.length, 20);
+    for (const value of values) {
+      assert.ok(value >= 2);
+      assert.ok(value <= 10);
+    }
+  });
+
+  it('supports non-integer factor', () => {
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(1.5, 2, Infinity, 3, () => 1)],
+      [2, 3, 4.5],
+    );
+  });
+
+  it('limits to maximum value', () => {
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 2, 5, 3, () => 1)],
+      [2, 5, 5],
+    );
+  });
+
+  it('limits below initial value', () => {
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 2, 1, 2, () => 0)],
+      [1, 1],
+    );
+  });
+
+  it('yields 0 times for 0 count', () => {
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 2, Infinity, 0)],
+      [],
+    );
+  });
+
+  it('throws TypeError for no args', () => {
+    assert.throws(
+      () => decorrelatedJitter(),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number factor', () => {
+    assert.throws(
+      () => decorrelatedJitter({}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number initial', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, {}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number maxValue', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for NaN maxValue', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, NaN),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-number count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for negative count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, -1),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for non-integer count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, 1.5),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, 1, 0.5),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import jitter from '../../../lib/retry-async/jitter.js';
+
+describe('retryAsync.jitter', () => {
+  it('returns an iterable of values scaled by random', () => {
+    const random = sinon.stub();
+    random.onCall(0).returns(0.5);
+    random.onCall(1).returns(0);
+    random.onCall(2).returns(0.25);
+    assert.deepStrictEqual(
+      [...jitter([4, 8, 16], random)],
+      [3, 4, 10],
+    );
+    sinon.assert.calledThrice(random);
+  });
+
+  it('returns values at least half of each value by default', () => {
+    const values = [...jitter([1, 2, 4, 8])];
+    assert.strictEqual(values.length, 4);
+    for (const [i, value] of values.entries()) {
+      assert.ok(value >= (2 ** i) / 2);
+      assert.ok(value < 2 ** i);
+    }
+  });
+
+  it('returns half of each value for random 0', () => {
+    assert.deepStrictEqual(
+      [...jitter([4000, 8000], () => 0)],
+      [2000, 4000],
+    );
+  });
+
+  it('calls random lazily', () => {
+    const random = sinon.stub().returns(0.5);
+    const iter = jitter([4, 8], random);
+    sinon.assert.notCalled(random);
+    assert.deepStrictEqual(iter.next(), { value: 3, done: false });
+    sinon.assert.calledOnce(random);
+  });
+
+  it('yields 0 times for empty values', () => {
+    assert.deepStrictEqual(
+      [...jitter([])],
+      [],
+    );
+  });
+
+  it('throws TypeError for no args', () => {
+    assert.throws(
+      () => jitter(),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-iterable values', () => {
+    assert.throws(
+      () => jitter({}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => jitter([1], 0.5),
+      TypeError,
+    );
+  });
+});
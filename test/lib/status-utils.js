@@ -0,0 +1,156 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import {
+  getCheckRunState,
+  getState,
+  isActionsRunCheckRun,
+  stateToExitCode,
+} from '../../lib/status-utils.js';
+import { makeCheckRuns } from '../../test-lib/api-responses.js';
+
+// https://docs.github.com/rest/checks/runs#get-a-check-run
+const checkRunStatuses = [
+  'queued',
+  'in_progress',
+  'waiting',
+  'requested',
+  'pending',
+];
+const conclusionToExitCode = {
+  action_required: 1, // eslint-disable-line camelcase
+  cancelled: 1,
+  failure: 1,
+  neutral: 0,
+  success: 0,
+  skipped: 0,
+  stale: 1,
+  timed_out: 1, // eslint-disable-line camelcase
+  startup_failure: 1, // eslint-disable-line camelcase
+};
+
+describe('getCheckRunState', () => {
+  for (const status of checkRunStatuses) {
+    it(`returns pending for ${status} check run`, () => {
+      const [checkRun] = makeCheckRuns(status).data.check_runs;
+      assert.strictEqual(getCheckRunState(checkRun), 'pending');
+    });
+  }
+
+  for (const conclusion of Object.keys(conclusionToExitCode)) {
+    it(`returns ${conclusion} for completed ${conclusion} check run`, () => {
+      const [checkRun] = makeCheckRuns(conclusion).data.check_runs;
+      assert.strictEqual(getCheckRunState(checkRun), conclusion);
+    });
+  }
+});
+
+function makeActionsCheckRun(name, runId) {
+  const [checkRun] = makeCheckRuns('in_progress').data.check_runs;
+  return {
+    ...checkRun,
+    // eslint-disable-next-line camelcase
+    details_url: `https://github.com/owner/repo/actions/runs/${runId}/job/456`,
+    name,
+  };
+}
+
+describe('isActionsRunCheckRun', () => {
+  const actionsRun = { runId: '123', job: 'test' };
+
+  it('returns true for check run of job in run', () => {
+    const checkRun = makeActionsCheckRun('test', 123);
+    assert.strictEqual(isActionsRunCheckRun(checkRun, actionsRun), true);
+  });
+
+  it('returns true for check run of matrix job in run', () => {
+    const checkRun = makeActionsCheckRun('test (20, ubuntu-latest)', 123);
+    assert.strictEqual(isActionsRunCheckRun(checkRun, actionsRun), true);
+  });
+
+  it('returns false for check run of other job in run', () => {
+    const checkRun = makeActionsCheckRun('tester', 123);
+    assert.strictEqual(isActionsRunCheckRun(checkRun, actionsRun), false);
+  });
+
+  it('returns true for check run of any job in run without job', () => {
+    const checkRun = makeActionsCheckRun('tester', 123);
+    assert.strictEqual(
+      isActionsRunCheckRun(checkRun, { runId: '123' }),
+      true,
+    );
+  });
+
+  it('returns false for check run of job in other run', () => {
+    const checkRun = makeActionsCheckRun('test', 1234);
+    assert.strictEqual(isActionsRunCheckRun(checkRun, actionsRun), false);
+  });
+
+  it('returns true for check run of job with jobId, regardless of name', () => {
+    const checkRun = makeActionsCheckRun('Named Job', 123);
+    assert.strictEqual(
+      isActionsRunCheckRun(checkRun, { runId: '123', job: 'test', jobId: 456 }),
+      true,
+    );
+  });
+
+  it('returns false for check run of other job with jobId', () => {
+    const checkRun = makeActionsCheckRun('test', 123);
+    assert.strictEqual(
+      isActionsRunCheckRun(checkRun, { runId: '123', job: 'test', jobId: 789 }),
+      false,
+    );
+  });
+
+  it('returns false for check run not from GitHub Actions', () => {
+    const [checkRun] = makeCheckRuns('in_progress').data.check_runs;
+    assert.strictEqual(
+      isActionsRunCheckRun({ ...checkRun, name: 'test' }, actionsRun),
+      false,
+    );
+  });
+});
+
+describe('getState', () => {
+  it('returns empty string for no statuses', () => {
+    assert.strictEqual(getState([]), '');
+  });
+
+  it('returns empty string for unrecognized states', () => {
+    assert.strictEqual(getState([{ state: 'test123' }]), '');
+  });
+
+  it('prefers success to skipped', () => {
+    assert.strictEqual(
+      getState([{ state: 'skipped' }, { state: 'success' }]),
+      'success',
+    );
+  });
+
+  it('prefers stale to pending', () => {
+    assert.strictEqual(
+      getState([{ state: 'stale' }, { state: 'pending' }]),
+      'stale',
+    );
+  });
+});
+
+describe('stateToExitCode', () => {
+  for (const [conclusion, exitCode] of Object.entries(conclusionToExitCode)) {
+    it(`returns ${exitCode} for ${conclusion}`, () => {
+      assert.strictEqual(stateToExitCode(conclusion), exitCode);
+    });
+  }
+
+  it('returns 2 for pending', () => {
+    assert.strictEqual(stateToExitCode('pending'), 2);
+  });
+
+  it('returns 3 for unrecognized state', () => {
+    assert.strictEqual(stateToExitCode('test123'), 3);
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { dir as makeTempDir } from 'tmp-promise';
+
+import execFileOut from '../../lib/exec-file-out.js';
+import getPackageJson from '../../lib/get-package-json.js';
+import getPushCheckRunNames, {
+  filterPatternToRegExp,
+  getJobCheckRunNames,
+  getWorkflowCheckRunNames,
+  isWorkflowTriggered,
+} from '../../lib/workflow-jobs.js';
+import gitInit from '../../test-lib/git-init.js';
+
+/* eslint-disable no-template-curly-in-string */
+
+const defaultBranch = 'main';
+const isWindows = /^win/i.test(process.platform);
+// Since git is often slow in shared CI systems, especially on Windows,
+// increase the timeout to avoid failures.
+const timeoutMs = isWindows ? 8000 : 4000;
+
+const pushEvent = { name: 'push' };
+// Hash of the empty tree object
+const emptyTreeHash = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+describe('filterPatternToRegExp', () => {
+  it('matches * within a path segment', () => {
+    const regexp = filterPatternToRegExp('feature/*');
+    assert.ok(regexp.test('feature/a'));
+    assert.ok(regexp.test('feature/'));
+    assert.ok(!regexp.test('feature/a/b'));
+    assert.ok(!regexp.test('other/feature/a'));
+  });
+
+  it('matches ** across path segments', () => {
+    const regexp = filterPatternToRegExp('docs/**');
+    assert.ok(regexp.test('docs/a/b.md'));
+    assert.ok(!regexp.test('src/docs/a.md'));
+  });
+
+  it('matches ? and + as quantifiers of preceding character', () => {
+    const regexp = filterPatternToRegExp('v2+.0?');
+    assert.ok(regexp.test('v2.0'));
+    assert.ok(regexp.test('v22.'));
+    assert.ok(!regexp.test('v.0'));
+  });
+
+  it('matches [] as character class', () => {
+    const regexp = filterPatternToRegExp('v[0-9].x');
+    assert.ok(regexp.test('v1.x'));
+    assert.ok(!regexp.test('va.x'));
+  });
+
+  it('matches escaped and regular expression special characters', () => {
+    const regexp = filterPatternToRegExp(String.raw`a\*(b)|c`);
+    assert.ok(regexp.test('a*(b)|c'));
+    assert.ok(!regexp.test('ax(b)|c'));
+  });
+
+  it('matches + without preceding character literally', () => {
+    const regexp = filterPatternToRegExp('*+');
+    assert.ok(regexp.test('a+'));
+    assert.ok(!regexp.test('a'));
+  });
+});
+
+describe('isWorkflowTriggered', () => {
+  it('returns true for event named by string', () => {
+    assert.ok(isWorkflowTriggered('push', pushEvent));
+    assert.ok(!isWorkflowTriggered('pull_request', pushEvent));
+  });
+
+  it('returns true for event in Array', () => {
+    assert.ok(isWorkflowTriggered(['pull_request', 'push'], pushEvent));
+    assert.ok(!isWorkflowTriggered(['pull_request'], pushEvent));
+  });
+
+  it('returns true for event key in object', () => {
+    assert.ok(isWorkflowTriggered({ push: null }, pushEvent));
+    const on = { pull_request: null }; // eslint-disable-line camelcase
+    assert.ok(!isWorkflowTriggered(on, pushEvent));
+  });
+
+  it('returns false for missing on', () => {
+    assert.ok(!isWorkflowTriggered(undefined, pushEvent));
+  });
+
+  it('applies branches filter', () => {
+    const on = { push: { branches: ['main', 'releases/**', '!releases/old'] } };
+    function isTriggered(branch) {
+      return isWorkflowTriggered(on, { ...pushEvent, branch });
+    }
+    assert.ok(isTriggered('main'));
+    assert.ok(isTriggered('releases/1'));
+    assert.ok(!isTriggered('releases/old'));
+    assert.ok(!isTriggered('dev'));
+  });
+
+  it('applies branches-ignore filter', () => {
+    const on = { push: { 'branches-ignore': ['template'] } };
+    assert.ok(isWorkflowTriggered(on, { ...pushEvent, branch: 'main' }));
+    assert.ok(!isWorkflowTriggered(on, { ...pushEvent, branch: 'template' }));
+  });
+
+  it('ignores branch filters for unknown branch', () => {
+    const on = { push: { branches: ['main'] } };
+    assert.ok(isWorkflowTriggered(on, pushEvent));
+  });
+
+  it('is not triggered for unknown branch with only tag filters', () => {
+    const on = { push: { tags: ['v*'] } };
+    assert.ok(!isWorkflowTriggered(on, pushEvent));
+  });
+
+  it('applies tags and tags-ignore filters', () => {
+    assert.ok(isWorkflowTriggered(
+      { push: { tags: ['v*'] } },
+      { ...pushEvent, tag: 'v1.0.0' },
+    ));
+    assert.ok(!isWorkflowTriggered(
+      { push: { tags: ['v*'] } },
+      { ...pushEvent, tag: 'old' },
+    ));
+    assert.ok(!isWorkflowTriggered(
+      { push: { 'tags-ignore': ['old'] } },
+      { ...pushEvent, tag: 'old' },
+    ));
+  });
+
+  it('is not triggered for branches with only tag filters', () => {
+    const on = { push: { tags: ['v*'] } };
+    assert.ok(!isWorkflowTriggered(on, { ...pushEvent, branch: 'main' }));
+  });
+
+  it('is not triggered for tags with only branch filters', () => {
+    const on = { push: { branches: ['**'] } };
+    assert.ok(!isWorkflowTriggered(on, { ...pushEvent, tag: 'v1.0.0' }));
+  });
+
+  it('applies paths filter', () => {
+    const on = { push: { paths: ['src/**', '!src/**/*.md'] } };
+    assert.ok(isWorkflowTriggered(on, {
+      ...pushEvent,
+      changedFiles: ['README.md', 'src/index.js'],
+    }));
+    assert.ok(!isWorkflowTriggered(on, {
+      ...pushEvent,
+      changedFiles: ['README.md', 'src/docs/README.md'],
+    }));
+  });
+
+  it('applies paths-ignore filter', () => {
+    const on = { push: { 'paths-ignore': ['**.md'] } };
+    assert.ok(isWorkflowTriggered(on, {
+      ...pushEvent,
+      changedFiles: ['README.md', 'index.js'],
+    }));
+    assert.ok(!isWorkflowTriggered(on, {
+      ...pushEvent,
+      changedFiles: ['README.md', 'docs/guide.md'],
+    }));
+  });
+
+  it('does not apply paths filter for tags', () => {
+    const on = { push: { paths: ['src/**'] } };
+    assert.ok(isWorkflowTriggered(on, {
+      ...pushEvent,
+      tag: 'v1.0.0',
+      changedFiles: ['README.md'],
+    }));
+  });
+
+  it('does not apply paths filter without changedFiles', () => {
+    const on = { push: { paths: ['src/**'] } };
+    assert.ok(isWorkflowTriggered(on, pushEvent));
+  });
+});
+
+describe('getJobCheckRunNames', () => {
+  it('returns job ID for job without name', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', { 'runs-on': 'ubuntu-latest' }),
+      ['test'],
+    );
+  });
+
+  it('returns job name', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', { name: 'Run Tests' }),
+      ['Run Tests'],
+    );
+  });
+
+  it('returns undefined for name with expression', () => {
+    assert.strictEqual(
+      getJobCheckRunNames('test', { name: 'Test ${{ github.ref }}' }),
+      undefined,
+    );
+  });
+
+  it('returns undefined for reusable workflow', () => {
+    const job = { uses: 'owner/repo/.github/workflows/build.yml@main' };
+    assert.strictEqual(getJobCheckRunNames('call', job), undefined);
+  });
+
+  it('appends matrix values to name', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', {
+        strategy: {
+          matrix: {
+            os: ['ubuntu-latest', 'windows-latest'],
+            node: [20, 'latest'],
+          },
+        },
+      }),
+      [
+        'test (ubuntu-latest, 20)',
+        'test (ubuntu-latest, latest)',
+        'test (windows-latest, 20)',
+        'test (windows-latest, latest)',
+      ],
+    );
+  });
+
+  it('substitutes matrix values in name', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', {
+        name: 'Test on ${{ matrix.os }}',
+        strategy: { matrix: { os: ['linux', 'windows'] } },
+      }),
+      ['Test on linux', 'Test on windows'],
+    );
+  });
+
+  it('applies matrix exclude and include', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', {
+        strategy: {
+          matrix: {
+            os: ['linux', 'windows'],
+            node: [20, 22],
+            exclude: [{ os: 'windows', node: 20 }],
+            include: [
+              { os: 'linux', experimental: true },
+              { os: 'macos', node: 22 },
+            ],
+          },
+        },
+      }),
+      [
+        'test (linux, 20, true)',
+        'test (linux, 22, true)',
+        'test (windows, 22)',
+        'test (macos, 22)',
+      ],
+    );
+  });
+
+  it('returns include combinations for matrix with only include', () => {
+    assert.deepStrictEqual(
+      getJobCheckRunNames('test', {
+        strategy: { matrix: { include: [{ os: 'linux' }, { os: 'macos' }] } },
+      }),
+      ['test (linux)', 'test (macos)'],
+    );
+  });
+
+  it('returns undefined for matrix with expression', () => {
+    assert.strictEqual(
+      getJobCheckRunNames('test', {
+        strategy: { matrix: '${{ fromJSON(needs.setup.outputs.matrix) }}' },
+      }),
+      undefined,
+    );
+    assert.strictEqual(
+      getJobCheckRunNames('test', {
+        strategy: { matrix: { os: '${{ fromJSON(inputs.os) }}' } },
+      }),
+      undefined,
+    );
+  });
+
+  it('returns undefined for matrix with object values', () => {
+    assert.strictEqual(
+      getJobCheckRunNames('test', {
+        strategy: { matrix: { config: [{ os: 'linux' }] } },
+      }),
+      undefined,
+    );
+  });
+});
+
+describe('getWorkflowCheckRunNames', () => {
+  it('returns names of jobs in triggered workflows', () => {
+    assert.deepStrictEqual(
+      getWorkflowCheckRunNames(
+        [
+          'on: push\njobs:\n  lint: {}\n  test:\n    name: Test\n',
+          'on: pull_request\njobs:\n  review: {}\n',
+          'on: [push]\njobs:\n  lint: {}\n  build: {}\n',
+        ],
+        pushEvent,
+      ),
+      ['lint', 'Test', 'build'],
+    );
+  });
+
+  it('ignores invalid workflows', () => {
+    assert.deepStrictEqual(
+      getWorkflowCheckRunNames(
+        ['on: push\njobs: [', 'on: push\n', 'on: push\njobs:\n  test: {}\n'],
+        pushEvent,
+      ),
+      ['test'],
+    );
+  });
+});
+
+describe('getPushCheckRunNames', function() {
+  this.timeout(timeoutMs);
+
+  let gitOptions;
+  before('setup test repository', async () => {
+    const packageJson = await getPackageJson();
+    const tempDir = await makeTempDir({
+      prefix: `${packageJson.name}-test`,
+      unsafeCleanup: true,
+    });
+    const testRepoPath = tempDir.path;
+    gitOptions = { cwd: testRepoPath };
+    after('remove test repository', () => tempDir.cleanup());
+
+    await gitInit(testRepoPath, defaultBranch);
+    const workflowsPath = path.join(testRepoPath, '.github', 'workflows');
+    await mkdir(workflowsPath, { recursive: true });
+    await writeFile(
+      path.join(workflowsPath, 'ci.yml'),
+      'on:\n  push:\n    paths-ignore: ["**.md"]\njobs:\n  test: {}\n',
+    );
+    await writeFile(
+      path.join(workflowsPath, 'release.yaml'),
+      'on:\n  push:\n    tags: ["v*"]\njobs:\n  release: {}\n',
+    );
+    await writeFile(
+      path.join(workflowsPath, 'main.yml'),
+      'on:\n  push:\n    branches: [main]\njobs:\n  deploy: {}\n',
+    );
+    await writeFile(path.join(workflowsPath, 'README.txt'), 'on: push\n');
+    await execFileOut('git', ['add', '.'], gitOptions);
+    await execFileOut(
+      'git',
+      ['commit', '-q', '-m', 'Add Workflows'],
+      gitOptions,
+    );
+    await execFileOut('git', ['tag', 'v1.0.0'], gitOptions);
+    await writeFile(path.join(testRepoPath, 'README.md'), '# Test\n');
+    await execFileOut('git', ['add', '.'], gitOptions);
+    await execFileOut(
+      'git',
+      ['commit', '-q', '-m', 'Add README'],
+      gitOptions,
+    );
+    await execFileOut('git', ['branch', 'dev', 'HEAD~'], gitOptions);
+  });
+
+  it('returns names of jobs triggered by push of branch', async () => {
+    assert.deepStrictEqual(
+      await getPushCheckRunNames('dev', 'dev', gitOptions),
+      ['test'],
+    );
+  });
+
+  it('returns names of jobs triggered by push of tag', async () => {
+    assert.deepStrictEqual(
+      await getPushCheckRunNames('v1.0.0', 'v1.0.0', gitOptions),
+      ['test', 'release'],
+    );
+  });
+
+  it('applies path filters to changed files', async () => {
+    assert.deepStrictEqual(
+      await getPushCheckRunNames('HEAD', 'HEAD', gitOptions),
+      ['deploy'],
+    );
+  });
+
+  it('ignores branch filters for commit hash', async () => {
+    const output = await execFileOut('git', ['rev-parse', 'HEAD~'], gitOptions);
+    const hash = output.trim();
+    assert.deepStrictEqual(
+      await getPushCheckRunNames(hash, hash, gitOptions),
+      ['test', 'deploy'],
+    );
+  });
+
+  it('returns empty Array without workflows', async () => {
+    const output = await execFileOut(
+      'git',
+      ['commit-tree', '-m', 'Empty', emptyTreeHash],
+      gitOptions,
+    );
+    const hash = output.trim();
+    assert.deepStrictEqual(
+      await getPushCheckRunNames(hash, hash, gitOptions),
+      [],
+    );
+  });
+});